@@ -0,0 +1,310 @@
+/**
+ * Authentication & Access Control
+ * Resolves the calling principal from an API key or an HS256 JWT and checks
+ * it against per-route permissions.
+ *
+ * Roles:
+ *   ingest     Submit LLM requests/responses only (monitored apps, gateways)
+ *   viewer     Read metrics, incidents and the event stream
+ *   responder  Viewer + incident actions, voice and analysis (Gemini/ElevenLabs)
+ *   admin      Everything
+ *
+ * Environment:
+ *   AUTH_MODE      enforce | off (default: enforce; "off" is for local development)
+ *   API_KEYS       Comma-separated key:role:principal[:tenant] entries. Keys
+ *                  may contain ':'; the role is the first of the last three
+ *                  fields that names a role. Use API_KEYS_FILE when that is
+ *                  ambiguous.
+ *   API_KEYS_FILE  JSON file of [{ key, role, principal, tenant? }]
+ *   JWT_SECRET     HS256 secret for bearer tokens (role claim required,
+ *                  optional tenant claim)
+ *   JWT_ISSUER     Expected iss claim (optional)
+ *   JWT_AUDIENCE   Expected aud claim (optional)
+ *
+ * Principals bound to a tenant only see that tenant. Principals without one
+ * work across tenants and pick one with the X-Tenant-Id header.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ROLES = ['ingest', 'viewer', 'responder', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  ingest: ['ingest'],
+  viewer: ['read'],
+  responder: ['read', 'respond'],
+  admin: ['ingest', 'read', 'respond', 'admin'],
+};
+
+let apiKeys = null;
+
+/**
+ * Hash a key so lookups compare fixed-length digests
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Split a key:role:principal[:tenant] entry. The key is everything before
+ * the role, so keys containing ':' survive.
+ */
+function parseKeyEntry(entry) {
+  const fields = entry.split(':');
+  const roleIndex = fields.findIndex((field, index) => (
+    index >= Math.max(1, fields.length - 3) && ROLES.includes(field)
+  ));
+  if (roleIndex === -1) {
+    // Left to the role check in validateKeyEntry
+    const [key, role, principal, tenant] = fields;
+    return { key, role, principal, tenant };
+  }
+  const [principal, tenant] = fields.slice(roleIndex + 1);
+  return { key: fields.slice(0, roleIndex).join(':'), role: fields[roleIndex], principal, tenant };
+}
+
+/**
+ * Whether a value (key entry, decoded JWT part) is a JSON object
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check one configured key entry; `source` names it in the error
+ * (keys themselves never appear in messages)
+ */
+function validateKeyEntry(entry, source) {
+  if (!isObject(entry)) {
+    throw new Error(`${source} must be an object with key, role and principal`);
+  }
+  const label = entry.principal ? `${source} (${entry.principal})` : source;
+
+  if (typeof entry.key !== 'string' || entry.key.length === 0) {
+    throw new Error(`${label} has no key`);
+  }
+  if (!ROLES.includes(entry.role)) {
+    throw new Error(`${label} has unknown role: ${entry.role}`);
+  }
+  for (const field of ['principal', 'tenant']) {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      throw new Error(`${label} has a non-string ${field}`);
+    }
+  }
+}
+
+/**
+ * Load configured API keys. Throws naming the first invalid entry.
+ */
+function loadApiKeys() {
+  const entries = [];
+
+  if (process.env.API_KEYS) {
+    process.env.API_KEYS.split(',').forEach((entry, index) => {
+      // Tolerate empty entries from stray commas
+      if (entry.trim()) {
+        entries.push({ entry: parseKeyEntry(entry.trim()), source: `API_KEYS entry ${index + 1}` });
+      }
+    });
+  }
+
+  if (process.env.API_KEYS_FILE) {
+    const file = process.env.API_KEYS_FILE;
+    const fileEntries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(fileEntries)) {
+      throw new Error(`${file} must contain a JSON array of API keys`);
+    }
+    fileEntries.forEach((entry, index) => entries.push({ entry, source: `${file} entry ${index + 1}` }));
+  }
+
+  return entries.map(({ entry, source }) => {
+    validateKeyEntry(entry, source);
+    return {
+      digest: digest(entry.key),
+      principal: {
+        id: entry.principal || `key-${entry.key.substring(0, 4)}`,
+        role: entry.role,
+        tenant: entry.tenant || null,
+        via: 'api-key',
+      },
+    };
+  });
+}
+
+/**
+ * Find the principal for an API key, or null
+ */
+function authenticateApiKey(key) {
+  if (!apiKeys) apiKeys = loadApiKeys();
+
+  const candidate = digest(key);
+  const match = apiKeys.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+  return match ? match.principal : null;
+}
+
+/**
+ * Verify an HS256 JWT and return its principal, or null
+ */
+function authenticateJwt(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) return null;
+
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  if (!headerPart || !payloadPart || !signaturePart) return null;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!isObject(header) || !isObject(claims)) return null;
+  if (header.alg !== 'HS256') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const signature = Buffer.from(signaturePart, 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now >= claims.exp) return null;
+  if (claims.nbf !== undefined && now < claims.nbf) return null;
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) return null;
+  if (process.env.JWT_AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(process.env.JWT_AUDIENCE)) return null;
+  }
+  if (!ROLES.includes(claims.role)) return null;
+
+  return { id: claims.sub || 'unknown', role: claims.role, tenant: claims.tenant || null, via: 'jwt' };
+}
+
+/**
+ * Pull credentials from the request.
+ * The access_token query parameter is only accepted where `allowQueryToken`
+ * is set (EventSource cannot send headers).
+ */
+function getCredential(req, allowQueryToken) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey;
+
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.substring(7).trim();
+
+  if (allowQueryToken && req.query.access_token) return String(req.query.access_token);
+
+  return null;
+}
+
+/**
+ * Resolve the principal for a request, or null if unauthenticated
+ */
+function authenticate(req, { allowQueryToken = false } = {}) {
+  if (process.env.AUTH_MODE === 'off') {
+    return { id: 'anonymous', role: 'admin', tenant: null, via: 'auth-disabled' };
+  }
+
+  const credential = getCredential(req, allowQueryToken);
+  if (!credential) return null;
+
+  // JWTs have three dot-separated parts; anything else is an API key
+  return credential.split('.').length === 3
+    ? authenticateJwt(credential)
+    : authenticateApiKey(credential);
+}
+
+/**
+ * Whether a role grants a permission
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Tenant scope for a request: the principal's tenant, else the X-Tenant-Id
+ * header, else null (all tenants). Returns undefined if a tenant-bound
+ * principal asks for another tenant.
+ */
+function resolveTenant(req, principal) {
+  const requested = req.get('X-Tenant-Id') || null;
+
+  if (principal.tenant) {
+    return !requested || requested === principal.tenant ? principal.tenant : undefined;
+  }
+  return requested;
+}
+
+/**
+ * Express middleware requiring a permission (ingest | read | respond | admin).
+ * Sets req.principal and req.tenantId for the route handler.
+ */
+function requirePermission(permission, options = {}) {
+  return (req, res, next) => {
+    const principal = authenticate(req, options);
+
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(principal.role, permission)) {
+      return res.status(403).json({ error: `Role ${principal.role} cannot ${permission}` });
+    }
+
+    const tenantId = resolveTenant(req, principal);
+    if (tenantId === undefined) {
+      return res.status(403).json({ error: `Principal ${principal.id} cannot access that tenant` });
+    }
+
+    req.principal = principal;
+    req.tenantId = tenantId;
+    next();
+  };
+}
+
+/**
+ * CORS origin check from the CORS_ORIGINS allowlist (comma-separated).
+ * With no allowlist only same-origin requests are allowed.
+ */
+function corsOptions() {
+  const allowlist = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    origin: (origin, callback) => {
+      callback(null, !origin || allowlist.includes('*') || allowlist.includes(origin));
+    },
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Id', 'Last-Event-ID'],
+  };
+}
+
+/**
+ * Load API keys and warn at startup when authentication is disabled or has
+ * nothing configured. Throws on an invalid key configuration.
+ */
+function logAuthMode() {
+  if (process.env.AUTH_MODE === 'off') {
+    console.warn('⚠️  AUTH_MODE=off: every request is treated as admin');
+    return;
+  }
+
+  // Load keys now so a bad API_KEYS or API_KEYS_FILE fails startup, not every request
+  apiKeys = loadApiKeys();
+  if (!process.env.API_KEYS && !process.env.API_KEYS_FILE && !process.env.JWT_SECRET) {
+    console.warn('⚠️  No API_KEYS, API_KEYS_FILE or JWT_SECRET configured: all API calls will be rejected');
+  }
+}
+
+module.exports = {
+  requirePermission,
+  authenticate,
+  hasPermission,
+  corsOptions,
+  logAuthMode,
+  ROLES,
+};
@@ -0,0 +1,202 @@
+/**
+ * Baseline Service
+ * Maintains rolling statistical baselines for tokens, cost and latency per
+ * model and per user within each tenant, used as the reference point for
+ * anomaly detection. One tenant's traffic never moves another's baselines.
+ *
+ * Each baseline keeps an EWMA mean/variance and a rolling window of recent
+ * samples for median and MAD (median absolute deviation). A baseline is only
+ * used once it has seen the warm-up number of samples.
+ *
+ * Environment:
+ *   BASELINE_WINDOW_SIZE     Samples kept per baseline (default: 200)
+ *   BASELINE_EWMA_ALPHA      EWMA smoothing factor (default: 0.1)
+ *   BASELINE_WARMUP_SAMPLES  Samples required before use (default: 20)
+ */
+
+const WINDOW_SIZE = parseInt(process.env.BASELINE_WINDOW_SIZE || '200', 10);
+const EWMA_ALPHA = parseFloat(process.env.BASELINE_EWMA_ALPHA || '0.1');
+const WARMUP_SAMPLES = parseInt(process.env.BASELINE_WARMUP_SAMPLES || '20', 10);
+
+const { tenantOf, inTenant } = require('./tenancy');
+
+const METRICS = ['tokens', 'cost', 'latencyMs'];
+
+// `${tenant}|${scope}:${id}:${metric}` -> baseline state
+const baselines = new Map();
+
+const keyOf = (tenant, scope, id, metric) => `${tenant}|${scope}:${id}:${metric}`;
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Add one sample to a baseline
+ */
+function addSample(tenantId, scope, id, metric, value, timestamp) {
+  const key = keyOf(tenantId, scope, id, metric);
+  let state = baselines.get(key);
+  if (!state) {
+    state = { tenantId, scope, id, metric, count: 0, ewma: value, ewmVariance: 0, samples: [], updatedAt: null };
+    baselines.set(key, state);
+  }
+
+  // Exponentially weighted mean and variance
+  const diff = value - state.ewma;
+  const increment = EWMA_ALPHA * diff;
+  state.ewma += increment;
+  state.ewmVariance = (1 - EWMA_ALPHA) * (state.ewmVariance + diff * increment);
+
+  state.samples.push(value);
+  if (state.samples.length > WINDOW_SIZE) state.samples.shift();
+
+  state.count++;
+  state.updatedAt = timestamp;
+}
+
+/**
+ * Summarize a baseline's current statistics
+ */
+function summarize(state) {
+  const med = median(state.samples);
+  return {
+    count: state.count,
+    warm: state.count >= WARMUP_SAMPLES,
+    ewma: state.ewma,
+    stdDev: Math.sqrt(state.ewmVariance),
+    median: med,
+    mad: median(state.samples.map(v => Math.abs(v - med))),
+    windowSize: state.samples.length,
+    updatedAt: state.updatedAt,
+  };
+}
+
+/**
+ * Robust z-score of a value against a baseline.
+ * Uses median/MAD, falling back to EWMA mean/std-dev when MAD is zero.
+ */
+function zScore(value, stats) {
+  if (!stats || typeof value !== 'number' || !Number.isFinite(value)) return null;
+  if (stats.mad > 0) return (0.6745 * (value - stats.median)) / stats.mad;
+  if (stats.stdDev > 0) return (value - stats.ewma) / stats.stdDev;
+  return null;
+}
+
+/**
+ * Record a completed call against its tenant's model and user baselines
+ */
+function recordSample({ tenantId, model, userId, tokens, cost, latencyMs, timestamp = new Date().toISOString() }) {
+  const tenant = tenantOf({ tenantId });
+  const values = { tokens, cost, latencyMs };
+  const scopes = [['model', model], ['user', userId]].filter(([, id]) => id);
+
+  for (const metric of METRICS) {
+    const value = values[metric];
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+    for (const [scope, id] of scopes) {
+      addSample(tenant, scope, id, metric, value, timestamp);
+    }
+  }
+}
+
+/**
+ * Get one baseline for a tenant, or null if none has been recorded
+ */
+function getBaseline(scope, id, metric, tenantId) {
+  const state = baselines.get(keyOf(tenantOf({ tenantId }), scope, id, metric));
+  return state ? summarize(state) : null;
+}
+
+/**
+ * Pick the warm baseline for a metric: the user's if available, else the model's
+ */
+function selectBaseline({ model, userId, tenantId }, metric) {
+  const userBaseline = userId ? getBaseline('user', userId, metric, tenantId) : null;
+  if (userBaseline && userBaseline.warm) return { scope: 'user', ...userBaseline };
+
+  const modelBaseline = model ? getBaseline('model', model, metric, tenantId) : null;
+  if (modelBaseline && modelBaseline.warm) return { scope: 'model', ...modelBaseline };
+
+  return null;
+}
+
+/**
+ * Build the baseline fields anomaly analysis expects.
+ * Metrics without a warm baseline are left out so their checks are skipped.
+ */
+function getAnalysisBaselines({ model, userId, tenantId }) {
+  const fields = {};
+  const stats = {};
+
+  const tokens = selectBaseline({ model, userId, tenantId }, 'tokens');
+  if (tokens) {
+    fields.avgTokenCount = tokens.median;
+    stats.tokens = tokens;
+  }
+
+  const cost = selectBaseline({ model, userId, tenantId }, 'cost');
+  if (cost) {
+    fields.avgCost = cost.median;
+    stats.cost = cost;
+  }
+
+  const latency = selectBaseline({ model, userId, tenantId }, 'latencyMs');
+  if (latency) {
+    fields.avgLatencyMs = latency.median;
+    stats.latencyMs = latency;
+  }
+
+  return { ...fields, baselineStats: stats };
+}
+
+/**
+ * List current baselines per tenant, optionally for one tenant and
+ * filtered by model or user
+ */
+function listBaselines({ model, userId, tenantId } = {}) {
+  const result = {};
+  const visible = inTenant(tenantId);
+  const isWanted = state => (!model && !userId) ||
+    (state.scope === 'model' && state.id === model) ||
+    (state.scope === 'user' && state.id === userId);
+
+  for (const state of baselines.values()) {
+    if (!visible(state) || !isWanted(state)) continue;
+
+    const tenant = result[state.tenantId] = result[state.tenantId] || { model: {}, user: {} };
+    tenant[state.scope][state.id] = tenant[state.scope][state.id] || {};
+    tenant[state.scope][state.id][state.metric] = summarize(state);
+  }
+
+  return {
+    windowSize: WINDOW_SIZE,
+    ewmaAlpha: EWMA_ALPHA,
+    warmupSamples: WARMUP_SAMPLES,
+    baselines: result,
+  };
+}
+
+/**
+ * Drop all baselines
+ */
+function reset() {
+  baselines.clear();
+}
+
+module.exports = {
+  recordSample,
+  getBaseline,
+  getAnalysisBaselines,
+  listBaselines,
+  zScore,
+  reset,
+  METRICS,
+};
@@ -0,0 +1,310 @@
+/**
+ * Budgets & Quotas
+ * Daily and monthly spend budgets per tenant, user and model. Publishes an
+ * alert when spend crosses an alert threshold and, in hard-stop mode,
+ * rejects requests that would go over budget.
+ *
+ * Budgets file:
+ *   {
+ *     "version": 1,
+ *     "hardStop": false,            // default for every budget
+ *     "alertAt": [0.5, 0.8, 1],     // fractions of the limit
+ *     "tenants": { "team-a": { "daily": 50, "monthly": 1000 } },
+ *     "users":   { "alice":  { "daily": 5, "hardStop": true } },
+ *     "models":  { "gpt-4":  { "monthly": 2000 } }
+ *   }
+ *
+ * User and model budgets apply within each tenant: alice's daily budget
+ * counts only the spend of the tenant the request belongs to.
+ *
+ * Spend is summed from stored requests, so STORE_RETENTION_DAYS must cover
+ * a full month for monthly budgets to be exact.
+ *
+ * Environment:
+ *   BUDGETS_PATH  Budgets file (default: ./budgets.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const kafkaProducer = require('../kafka-integration/producer');
+const detectionPolicy = require('../datadog-integration/detection-policy');
+const { tenantOf, DEFAULT_TENANT } = require('./tenancy');
+
+const DEFAULT_BUDGETS_PATH = path.join(__dirname, 'budgets.json');
+
+const PERIODS = ['daily', 'monthly'];
+
+// Request field each budget scope is matched on
+const SCOPES = {
+  tenants: request => tenantOf(request),
+  users: request => request.userId,
+  models: request => request.model,
+};
+
+let currentBudgets = null;
+
+/**
+ * Thrown by checkRequest in hard-stop mode when a request would go over budget
+ */
+class BudgetExceededError extends Error {
+  constructor(exceeded) {
+    super(`Budget exceeded: ${exceeded.map(b => `${b.scope} ${b.id} ${b.period}`).join(', ')}`);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+  }
+}
+
+/**
+ * Validate a parsed budgets file, returning a list of problems
+ */
+function validateBudgets(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return ['budgets must be a JSON object'];
+  }
+  if (config.version !== 1) {
+    errors.push('version must be 1');
+  }
+  if (!Array.isArray(config.alertAt) || config.alertAt.some(t => typeof t !== 'number' || t <= 0)) {
+    errors.push('alertAt must be a list of positive fractions');
+  }
+
+  for (const scope of Object.keys(SCOPES)) {
+    const budgets = config[scope] || {};
+    if (typeof budgets !== 'object' || Array.isArray(budgets)) {
+      errors.push(`${scope} must be an object`);
+      continue;
+    }
+
+    for (const [id, budget] of Object.entries(budgets)) {
+      if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        errors.push(`${scope}.${id} must be an object`);
+        continue;
+      }
+      if (budget.hardStop !== undefined && typeof budget.hardStop !== 'boolean') {
+        errors.push(`${scope}.${id}.hardStop must be a boolean`);
+      }
+      for (const period of PERIODS) {
+        if (budget[period] !== undefined && !(typeof budget[period] === 'number' && budget[period] >= 0)) {
+          errors.push(`${scope}.${id}.${period} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load the budgets file and make it the active configuration
+ */
+function loadBudgets(filePath = process.env.BUDGETS_PATH || DEFAULT_BUDGETS_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateBudgets(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid budgets ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  currentBudgets = config;
+  console.log(`💰 Budgets loaded: ${filePath}`);
+  return currentBudgets;
+}
+
+/**
+ * Get the active budgets, loading them on first use
+ */
+function getBudgets() {
+  if (!currentBudgets) loadBudgets();
+  return currentBudgets;
+}
+
+/**
+ * Start of the current budget period (UTC)
+ */
+function periodStart(period, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'monthly') start.setUTCDate(1);
+  return start;
+}
+
+/**
+ * When the current budget period ends (UTC)
+ */
+function periodEnd(period, now = new Date()) {
+  const end = periodStart(period, now);
+  if (period === 'monthly') {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return end;
+}
+
+/**
+ * One entry per period configured on a budget
+ */
+function expandBudget(scope, id, budget, config, tenantId) {
+  return PERIODS
+    .filter(period => budget[period] !== undefined)
+    .map(period => ({
+      scope,
+      id,
+      tenantId: scope === 'tenants' ? id : tenantId,
+      period,
+      limit: budget[period],
+      hardStop: budget.hardStop !== undefined ? budget.hardStop : Boolean(config.hardStop),
+    }));
+}
+
+/**
+ * Budgets that apply to a request, one entry per scope and period, scoped to
+ * the request's tenant
+ */
+function applicableBudgets(request, config = getBudgets()) {
+  return Object.entries(SCOPES).flatMap(([scope, keyOf]) => {
+    const id = keyOf(request);
+    const budget = id !== undefined && (config[scope] || {})[id];
+    return budget ? expandBudget(scope, id, budget, config, tenantOf(request)) : [];
+  });
+}
+
+/**
+ * Spend so far in a budget's current period, within the budget's tenant
+ */
+function spentFor(store, budget, now = new Date()) {
+  const since = periodStart(budget.period, now).getTime();
+  const keyOf = SCOPES[budget.scope];
+
+  return store
+    .find('requests', req => (
+      keyOf(req) === budget.id
+      && tenantOf(req) === budget.tenantId
+      && new Date(req.timestamp).getTime() >= since
+    ))
+    .reduce((sum, req) => sum + (req.cost || 0), 0);
+}
+
+/**
+ * Reject a request that would exceed a hard-stop budget.
+ * Call before the request is stored. Throws BudgetExceededError.
+ */
+function checkRequest(store, request) {
+  const cost = request.cost || 0;
+
+  const exceeded = applicableBudgets(request)
+    .filter(budget => budget.hardStop)
+    .map(budget => ({ ...budget, spent: spentFor(store, budget) }))
+    .filter(budget => budget.spent >= budget.limit || budget.spent + cost > budget.limit);
+
+  if (exceeded.length > 0) {
+    throw new BudgetExceededError(exceeded.map(budget => ({
+      ...budget,
+      remaining: Math.max(0, budget.limit - budget.spent),
+      resetsAt: periodEnd(budget.period).toISOString(),
+    })));
+  }
+}
+
+/**
+ * Severity of a budget alert by the threshold crossed
+ */
+function thresholdSeverity(threshold) {
+  if (threshold >= 1) return 'critical';
+  if (threshold >= 0.8) return 'high';
+  return 'medium';
+}
+
+/**
+ * Alert on every threshold the stored request pushed its budgets past.
+ * Call after the request is stored. Returns the crossings alerted on.
+ * A failed alert is logged rather than thrown: the request is already
+ * stored and ingest must not fail after that.
+ */
+async function recordSpend(store, request) {
+  const cost = request.cost || 0;
+  if (cost <= 0) return [];
+
+  const { alertAt } = getBudgets();
+  const { escalation } = detectionPolicy.resolvePolicy({
+    model: request.model,
+    userId: request.userId,
+    tenantId: request.tenantId,
+  });
+  const crossings = [];
+
+  for (const budget of applicableBudgets(request)) {
+    if (budget.limit <= 0) continue;
+
+    const after = spentFor(store, budget);
+    const before = after - cost;
+    const crossed = alertAt.filter(t => before < t * budget.limit && after >= t * budget.limit);
+    if (crossed.length === 0) continue;
+
+    // Alert once, for the highest threshold crossed
+    const threshold = Math.max(...crossed);
+    const severity = thresholdSeverity(threshold);
+
+    try {
+      await kafkaProducer.publishAlert({
+        alertType: 'BUDGET_THRESHOLD',
+        message: `${budget.period} budget for ${budget.scope} ${budget.id} at ${Math.round((after / budget.limit) * 100)}% ($${after.toFixed(2)} of $${budget.limit})`,
+        severity,
+        requestId: request.requestId,
+        tenantId: tenantOf(request),
+        userId: request.userId,
+        impactDescription: threshold >= 1
+          ? 'Spend has reached the configured budget'
+          : 'Spend is approaching the configured budget',
+        priority: escalation.priorities[severity] || 'high',
+      });
+    } catch (error) {
+      console.error(`❌ Failed to publish budget alert for ${budget.scope}:${budget.id}:`, error.message);
+      continue;
+    }
+    crossings.push({ ...budget, threshold, spent: after });
+    console.log(`💸 Budget ${budget.scope}:${budget.id} (${budget.period}) crossed ${Math.round(threshold * 100)}%`);
+  }
+
+  return crossings;
+}
+
+/**
+ * Remaining budget for every configured budget.
+ * Tenant-scoped callers only see their own tenant's budget. User and model
+ * budgets are reported within the caller's tenant, or the default tenant
+ * for platform-wide callers (who can pick another with X-Tenant-Id).
+ */
+function getBudgetStatus(store, { tenantId } = {}) {
+  const config = getBudgets();
+  const statuses = [];
+
+  for (const scope of Object.keys(SCOPES)) {
+    for (const [id, budget] of Object.entries(config[scope] || {})) {
+      if (tenantId && scope === 'tenants' && id !== tenantId) continue;
+
+      for (const entry of expandBudget(scope, id, budget, config, tenantId || DEFAULT_TENANT)) {
+        const spent = spentFor(store, entry);
+        statuses.push({
+          ...entry,
+          spent: parseFloat(spent.toFixed(4)),
+          remaining: parseFloat(Math.max(0, entry.limit - spent).toFixed(4)),
+          percentUsed: entry.limit > 0 ? Math.round((spent / entry.limit) * 100) : null,
+          resetsAt: periodEnd(entry.period).toISOString(),
+        });
+      }
+    }
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  checkRequest,
+  recordSpend,
+  getBudgetStatus,
+  loadBudgets,
+  validateBudgets,
+  BudgetExceededError,
+  PERIODS,
+};
@@ -0,0 +1,141 @@
+/**
+ * Error Tracker
+ * Sliding-window counts of failed LLM calls per model and per provider
+ * within each tenant, feeding ERROR_SPIKE detection and the safety metrics.
+ */
+
+const detectionPolicy = require('../datadog-integration/detection-policy');
+const { tenantOf } = require('./tenancy');
+
+const ERROR_TYPES = ['timeout', 'rate_limited', 'provider_5xx', 'content_filtered', 'other'];
+
+// `${tenant}|${scope}:${id}` -> [{ time, isError, errorType }], oldest first
+const windows = new Map();
+
+const keyOf = (tenantId, scope, id) => `${tenantOf({ tenantId })}|${scope}:${id}`;
+
+/**
+ * Sliding window length from the detection policy
+ */
+function getWindowMs() {
+  return detectionPolicy.resolvePolicy().thresholds.errorWindowMinutes * 60 * 1000;
+}
+
+/**
+ * Drop outcomes that have fallen out of the window
+ */
+function prune(events, now) {
+  const cutoff = now - getWindowMs();
+  while (events.length > 0 && events[0].time < cutoff) {
+    events.shift();
+  }
+}
+
+/**
+ * Record the outcome of one call
+ */
+function recordOutcome({ tenantId, model, provider, status, errorType, timestamp = new Date().toISOString() }) {
+  const time = new Date(timestamp).getTime();
+  const event = {
+    time,
+    isError: status === 'error',
+    errorType: status === 'error' ? errorType || 'other' : null,
+  };
+
+  for (const [scope, id] of [['model', model], ['provider', provider]]) {
+    if (!id) continue;
+
+    const key = keyOf(tenantId, scope, id);
+    if (!windows.has(key)) windows.set(key, []);
+
+    const events = windows.get(key);
+    events.push(event);
+    prune(events, time);
+  }
+}
+
+/**
+ * Summarize a list of outcomes
+ */
+function summarize(events) {
+  const errors = events.filter(e => e.isError);
+  const byType = {};
+  for (const error of errors) {
+    byType[error.errorType] = (byType[error.errorType] || 0) + 1;
+  }
+
+  return {
+    total: events.length,
+    errors: errors.length,
+    errorRate: events.length > 0 ? errors.length / events.length : 0,
+    byType,
+  };
+}
+
+/**
+ * Window stats for one model or provider of a tenant
+ */
+function getWindowStats(scope, id, { tenantId, now = Date.now() } = {}) {
+  const events = windows.get(keyOf(tenantId, scope, id)) || [];
+  prune(events, now);
+  return summarize(events);
+}
+
+/**
+ * Window stats for whichever of the call's model or provider is failing more
+ */
+function getWorstWindow({ model, provider, tenantId }) {
+  const candidates = [['model', model], ['provider', provider]]
+    .filter(([, id]) => id)
+    .map(([scope, id]) => ({ scope, id, ...getWindowStats(scope, id, { tenantId }) }));
+
+  return candidates.sort((a, b) => b.errors - a.errors)[0] || null;
+}
+
+/**
+ * Error summary across all models and providers in the current window,
+ * for one tenant or (with no tenantId) all of them
+ */
+function getErrorSummary({ tenantId, now = Date.now() } = {}) {
+  // Per-tenant windows of the same model or provider are combined
+  const models = new Map();
+  const providers = new Map();
+
+  for (const [key, events] of windows) {
+    prune(events, now);
+    const split = key.indexOf('|');
+    if (tenantId && key.slice(0, split) !== tenantId) continue;
+
+    const [scope, ...rest] = key.slice(split + 1).split(':');
+    const id = rest.join(':');
+    const target = scope === 'model' ? models : providers;
+    target.set(id, (target.get(id) || []).concat(events));
+  }
+
+  const summarizeAll = grouped => Object.fromEntries(
+    [...grouped].map(([id, events]) => [id, summarize(events)])
+  );
+
+  return {
+    windowMinutes: getWindowMs() / 60000,
+    ...summarize([...models.values()].flat()),
+    byModel: summarizeAll(models),
+    byProvider: summarizeAll(providers),
+  };
+}
+
+/**
+ * Drop all tracked outcomes
+ */
+function reset() {
+  windows.clear();
+}
+
+module.exports = {
+  recordOutcome,
+  getWindowStats,
+  getWorstWindow,
+  getErrorSummary,
+  reset,
+  ERROR_TYPES,
+};
@@ -0,0 +1,140 @@
+/**
+ * Event Stream
+ * In-process feed of incident, anomaly and metric events for streaming
+ * clients. Recent events are buffered so reconnecting clients can resume
+ * from the last event id they saw.
+ *
+ * Environment:
+ *   EVENT_STREAM_BUFFER_SIZE  Events kept for resume (default: 1000)
+ */
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = parseInt(process.env.EVENT_STREAM_BUFFER_SIZE || '1000', 10);
+
+const EVENT_TYPES = ['incident.created', 'incident.updated', 'anomaly', 'metrics.snapshot'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+// Ids start at boot time so they keep increasing across restarts
+let lastId = Date.now();
+
+/**
+ * Publish an event to all subscribers
+ */
+function publish(type, data) {
+  const event = {
+    id: ++lastId,
+    type,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Accept a list as an array or a comma-separated string
+ */
+function toList(value) {
+  if (!value) return null;
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Build a matcher for subscription filters.
+ * Filters only apply to events that carry the filtered field, so metric
+ * snapshots pass a severity filter.
+ */
+function buildMatcher(filters = {}) {
+  const events = toList(filters.events);
+  const severities = toList(filters.severity);
+  const types = toList(filters.type);
+  const models = toList(filters.model);
+  const { tenantId } = filters;
+
+  return event => {
+    const data = event.data || {};
+    if (events && !events.includes(event.type)) return false;
+    if (severities && data.severity && !severities.includes(data.severity)) return false;
+    if (types && data.type && !types.includes(data.type)) return false;
+    if (models && data.model && !models.includes(data.model)) return false;
+    if (tenantId && data.tenantId && data.tenantId !== tenantId) return false;
+    return true;
+  };
+}
+
+/**
+ * Subscribe to events matching `filters`.
+ * Buffered events after `lastEventId` are replayed first; if some were
+ * already dropped from the buffer a `stream.gap` event is sent instead of them.
+ * Returns an unsubscribe function.
+ */
+function subscribe(filters, listener, lastEventId = null) {
+  const matches = buildMatcher(filters);
+
+  if (lastEventId !== null && lastEventId !== undefined && lastEventId !== '') {
+    const after = Number(lastEventId);
+    const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+
+    if (Number.isFinite(after) && after < oldest - 1) {
+      listener({
+        id: after,
+        type: 'stream.gap',
+        timestamp: new Date().toISOString(),
+        data: { requestedAfter: after, oldestAvailable: oldest },
+      });
+    }
+
+    for (const event of buffer) {
+      if (event.id > after && matches(event)) listener(event);
+    }
+  }
+
+  const onEvent = event => {
+    if (matches(event)) listener(event);
+  };
+  emitter.on('event', onEvent);
+
+  return () => emitter.off('event', onEvent);
+}
+
+/**
+ * Publish a metrics snapshot every `intervalMs`. Returns a stop function.
+ */
+function startMetricsSnapshots(getSnapshot, intervalMs) {
+  const timer = setInterval(() => {
+    if (emitter.listenerCount('event') === 0) return;
+
+    try {
+      publish('metrics.snapshot', getSnapshot());
+    } catch (error) {
+      console.error('❌ Failed to publish metrics snapshot:', error.message);
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ */
+function toSSE(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  startMetricsSnapshots,
+  toSSE,
+  EVENT_TYPES,
+};
@@ -0,0 +1,96 @@
+/**
+ * Incident Correlation
+ * Groups repeated anomalies (same tenant, type, user and model within a time window)
+ * into one incident instead of opening a new incident for each.
+ */
+
+const incidentLifecycle = require('./incident-lifecycle');
+const { SEVERITIES } = require('../datadog-integration/detection-policy');
+const { tenantOf } = require('./tenancy');
+
+// Linked requestIds kept per incident; the occurrence count keeps counting
+const MAX_LINKED_REQUESTS = 500;
+
+/**
+ * Key anomalies are grouped by
+ */
+function groupKey({ tenantId, type, userId, model }) {
+  return [tenantOf({ tenantId }), type, userId || 'anonymous', model || 'unknown'].join('|');
+}
+
+/**
+ * Find the active incident an anomaly belongs to, if any
+ */
+function findGroupIncident(store, anomaly, windowMinutes, now = Date.now()) {
+  const key = groupKey(anomaly);
+  const cutoff = now - windowMinutes * 60 * 1000;
+
+  const candidates = store.find('incidents', incident =>
+    incident.groupKey === key &&
+    incidentLifecycle.isActive(incident) &&
+    new Date(incident.lastSeenAt || incident.timestamp).getTime() >= cutoff
+  );
+
+  return candidates.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))[0] || null;
+}
+
+/**
+ * Grouping fields for a newly created incident
+ */
+function newGroupFields(anomaly, timestamp) {
+  return {
+    groupKey: groupKey(anomaly),
+    occurrenceCount: 1,
+    firstSeenAt: timestamp,
+    lastSeenAt: timestamp,
+    requestIds: anomaly.requestId ? [anomaly.requestId] : [],
+  };
+}
+
+/**
+ * Severity for an occurrence count: one level up per escalation step crossed
+ */
+function severityForVolume(baseSeverity, occurrenceCount, escalateAtOccurrences) {
+  const steps = escalateAtOccurrences.filter(step => occurrenceCount >= step).length;
+  const index = Math.min(SEVERITIES.indexOf(baseSeverity) + steps, SEVERITIES.length - 1);
+  return SEVERITIES[index];
+}
+
+/**
+ * Patch recording another occurrence on a grouped incident.
+ * Raises severity when the volume crosses an escalation step.
+ */
+function recordOccurrence(incident, anomaly, escalation, timestamp = new Date().toISOString()) {
+  const occurrenceCount = (incident.occurrenceCount || 1) + 1;
+  const requestIds = incident.requestIds || [];
+
+  const patch = {
+    occurrenceCount,
+    lastSeenAt: timestamp,
+    requestIds: anomaly.requestId && requestIds.length < MAX_LINKED_REQUESTS
+      ? [...requestIds, anomaly.requestId]
+      : requestIds,
+  };
+
+  // Severity never drops below what it is now (responders may have escalated)
+  const volumeSeverity = severityForVolume(anomaly.severity, occurrenceCount, escalation.escalateAtOccurrences);
+  if (SEVERITIES.indexOf(volumeSeverity) > SEVERITIES.indexOf(incident.severity)) {
+    patch.severity = volumeSeverity;
+    Object.assign(patch, incidentLifecycle.appendTimeline(incident, incidentLifecycle.timelineEntry('escalated', {
+      at: timestamp,
+      from: incident.severity,
+      to: volumeSeverity,
+      note: `${occurrenceCount} occurrences`,
+    })));
+  }
+
+  return patch;
+}
+
+module.exports = {
+  groupKey,
+  findGroupIncident,
+  newGroupFields,
+  recordOccurrence,
+  severityForVolume,
+};
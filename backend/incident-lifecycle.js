@@ -0,0 +1,125 @@
+/**
+ * Incident Lifecycle
+ * Allowed status transitions and the timeline entries recorded for every
+ * change to an incident.
+ */
+
+const STATUSES = [
+  'open',
+  'acknowledged',
+  'investigating',
+  'mitigated',
+  'resolved',
+  'closed',
+  'reopened',
+];
+
+// Statuses that still need a responder
+const ACTIVE_STATUSES = ['open', 'reopened', 'acknowledged', 'investigating', 'mitigated'];
+
+// Status -> statuses it may move to
+const TRANSITIONS = {
+  open: ['acknowledged', 'investigating', 'mitigated', 'resolved', 'closed'],
+  reopened: ['acknowledged', 'investigating', 'mitigated', 'resolved', 'closed'],
+  acknowledged: ['investigating', 'mitigated', 'resolved', 'closed'],
+  investigating: ['mitigated', 'resolved', 'closed'],
+  mitigated: ['investigating', 'resolved', 'closed'],
+  resolved: ['closed', 'reopened'],
+  closed: ['reopened'],
+};
+
+// Timestamp field set the first time an incident enters a status
+const STATUS_TIMESTAMPS = {
+  acknowledged: 'acknowledgedAt',
+  resolved: 'resolvedAt',
+  closed: 'closedAt',
+  reopened: 'reopenedAt',
+};
+
+/**
+ * Thrown when a status change is not allowed from the current status
+ */
+class IllegalTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move incident from ${from} to ${to}`);
+    this.name = 'IllegalTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Whether an incident still needs a responder
+ */
+function isActive(incident) {
+  return ACTIVE_STATUSES.includes(incident.status);
+}
+
+/**
+ * Build a timeline entry
+ */
+function timelineEntry(action, { actor = 'system', at = new Date().toISOString(), ...details } = {}) {
+  return { at, action, actor, ...details };
+}
+
+/**
+ * Patch that appends a timeline entry to an incident
+ */
+function appendTimeline(incident, entry) {
+  return { timeline: [...(incident.timeline || []), entry] };
+}
+
+/**
+ * Patch that moves an incident to a new status.
+ * Throws IllegalTransitionError if the move is not allowed.
+ */
+function transition(incident, toStatus, { actor, note, at = new Date().toISOString() } = {}) {
+  if (!STATUSES.includes(toStatus)) {
+    throw new Error(`Unknown incident status: ${toStatus}`);
+  }
+
+  const allowed = TRANSITIONS[incident.status] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new IllegalTransitionError(incident.status, toStatus);
+  }
+
+  const patch = {
+    status: toStatus,
+    ...appendTimeline(incident, timelineEntry('status_changed', {
+      actor,
+      at,
+      from: incident.status,
+      to: toStatus,
+      note,
+    })),
+  };
+
+  const timestampField = STATUS_TIMESTAMPS[toStatus];
+  if (timestampField && (toStatus === 'reopened' || !incident[timestampField])) {
+    patch[timestampField] = at;
+  }
+
+  // Any responder action counts as acknowledging the incident
+  if (['resolved', 'closed', 'investigating', 'mitigated'].includes(toStatus) && !incident.acknowledgedAt) {
+    patch.acknowledgedAt = at;
+  }
+
+  // A reopened incident needs resolving again
+  if (toStatus === 'reopened') {
+    patch.resolvedAt = null;
+    patch.closedAt = null;
+  }
+
+  return patch;
+}
+
+module.exports = {
+  transition,
+  timelineEntry,
+  appendTimeline,
+  isActive,
+  IllegalTransitionError,
+  STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+};
@@ -1,41 +1,194 @@
 const kafkaProducer = require('../kafka-integration/producer');
 const anomalyDetector = require('../datadog-integration/anomaly-detector');
+const detectionPolicy = require('../datadog-integration/detection-policy');
 const { v4: uuidv4 } = require('uuid');
+const piiRedactor = require('../datadog-integration/pii-redactor');
+const preflightGuard = require('./preflight-guard');
+const baselineService = require('./baseline-service');
+const errorTracker = require('./error-tracker');
+const incidentLifecycle = require('./incident-lifecycle');
+const incidentCorrelator = require('./incident-correlator');
+const incidentSearch = require('./incident-search');
+const eventStream = require('./event-stream');
+const budgetManager = require('./budget-manager');
+const pricing = require('./pricing');
+const trendAnalytics = require('./trend-analytics');
+const prometheusExporter = require('./prometheus-exporter');
+const { tenantOf, inTenant, DEFAULT_TENANT } = require('./tenancy');
+const { createStore } = require('./store');
+const { correlate, getCorrelationReport: buildCorrelationReport } = require('./request-correlator');
+
+// Persistent store for requests, responses and incidents (see ./store)
+let store = null;
 
-// Store for tracking metrics (in production, use a real database)
-const metrics = {
-  requests: [],
-  responses: [],
-  incidents: [],
-};
+/**
+ * Get the active store, creating the configured one on first use
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+    seedFromHistory(store);
+  }
+  return store;
+}
+
+/**
+ * Swap the active store (e.g. an in-memory store in tests)
+ */
+function useStore(newStore) {
+  if (store && store !== newStore) {
+    store.close();
+  }
+  store = newStore;
+  seedFromHistory(store);
+}
+
+/**
+ * Rebuild the rolling baselines and error windows from stored history
+ */
+function seedFromHistory(source) {
+  baselineService.reset();
+  errorTracker.reset();
+
+  for (const response of source.find('responses')) {
+    errorTracker.recordOutcome({
+      tenantId: tenantOf(response),
+      model: response.model,
+      provider: response.provider,
+      status: response.status,
+      errorType: response.error && response.error.type,
+      timestamp: response.timestamp,
+    });
+
+    if (response.orphaned || response.status === 'error') continue;
+
+    const request = source.get('requests', response.requestId) || {};
+    baselineService.recordSample({
+      tenantId: tenantOf(response),
+      model: response.model,
+      userId: response.userId,
+      tokens: request.tokenCount,
+      cost: request.cost,
+      latencyMs: response.latencyMs,
+      timestamp: response.timestamp,
+    });
+  }
+}
+
+// Open incidents are counted from the store at scrape time
+prometheusExporter.setOpenIncidentsCollector(() => {
+  const counts = new Map();
+  for (const incident of getStore().find('incidents', incidentLifecycle.isActive)) {
+    const labels = { tenant: tenantOf(incident), severity: incident.severity };
+    const key = `${labels.tenant}|${labels.severity}`;
+    counts.set(key, { labels, value: ((counts.get(key) || {}).value || 0) + 1 });
+  }
+  return [...counts.values()];
+});
+
+/**
+ * Flush and close the active store
+ */
+function shutdown() {
+  if (store) {
+    store.close();
+    store = null;
+  }
+}
 
 /**
  * Handle incoming LLM request
+ * Runs the pre-flight guard on the prompt and returns its verdict.
+ * Throws BudgetExceededError if a hard-stop budget would be exceeded.
  */
 async function handleRequest(requestData) {
+  const tenantId = requestData.tenantId || DEFAULT_TENANT;
+
+  // Price the prompt from the catalog; unknown models keep the reported cost
+  const priced = pricing.computeCost({ model: requestData.model, inputTokens: requestData.tokenCount });
+  const cost = priced ? priced.cost : requestData.cost || 0;
+
+  try {
+    budgetManager.checkRequest(getStore(), { ...requestData, tenantId, cost });
+  } catch (error) {
+    console.warn(`⛔ Request rejected: ${error.message}`);
+    throw error;
+  }
+
   try {
     const requestId = uuidv4();
     const timestamp = new Date().toISOString();
 
+    const preflight = preflightGuard.evaluatePrompt(requestData.prompt, {
+      model: requestData.model,
+      userId: requestData.userId,
+      tenantId,
+    });
+
+    // Redact PII before the prompt is published or stored
+    const redactedPrompt = piiRedactor.applyConfiguredRedaction(requestData.prompt, { tenantId });
+
+    // Never forwarded to the model, so no response is expected and nothing is spent
+    const blocked = preflight.verdict === 'block';
+
     const payload = {
       requestId,
+      tenantId,
       userId: requestData.userId || 'anonymous',
       model: requestData.model || 'unknown',
-      prompt: requestData.prompt,
+      prompt: redactedPrompt.text,
+      piiRedactions: redactedPrompt.redactions,
       timestamp,
       tokenCount: requestData.tokenCount,
-      cost: requestData.cost || 0,
+      cost: blocked ? 0 : cost,
+      reportedCost: requestData.cost,
+      costSource: priced ? 'catalog' : 'reported',
+      priceEffectiveFrom: priced ? priced.priceEffectiveFrom : undefined,
       metadata: requestData.metadata || {},
+      preflight: {
+        verdict: preflight.verdict,
+        detectors: [...new Set(preflight.evidence.map(e => e.detector))],
+      },
+      blocked,
     };
 
     // Publish to Kafka
     await kafkaProducer.publishRequest(payload);
 
     // Store for metrics
-    metrics.requests.push(payload);
+    getStore().insert('requests', payload);
+    prometheusExporter.recordRequest(payload);
+    if (!blocked) {
+      await budgetManager.recordSpend(getStore(), payload);
+    }
+
+    // Record prompt-side anomalies and incidents
+    const anomalies = anomalyDetector.analyzeMessage({
+      prompt: requestData.prompt,
+      userId: payload.userId,
+      model: payload.model,
+      tenantId,
+    });
+
+    for (const anomaly of anomalies) {
+      await publishAnomaly({
+        ...anomaly,
+        requestId,
+        tenantId,
+        userId: payload.userId,
+        model: payload.model,
+      });
+    }
 
-    console.log(`✅ Request published: ${requestId}`);
-    return { requestId, timestamp };
+    console.log(`✅ Request published: ${requestId} (${preflight.verdict})`);
+    return {
+      requestId,
+      timestamp,
+      verdict: preflight.verdict,
+      evidence: preflight.evidence,
+      redactedPrompt: preflight.redactedPrompt,
+      anomalyCount: anomalies.length,
+    };
   } catch (error) {
     console.error('❌ Failed to handle request:', error.message);
     throw error;
@@ -44,19 +197,55 @@ async function handleRequest(requestData) {
 
 /**
  * Handle LLM response
+ * Failed calls carry status 'error' and error details instead of a response
  */
 async function handleResponse(responseData) {
   try {
     const timestamp = new Date().toISOString();
+    const status = responseData.status || (responseData.error ? 'error' : 'success');
+    const tenantId = responseData.tenantId || DEFAULT_TENANT;
+
+    // Join with the originating request; another tenant's request never matches
+    const stored = getStore().get('requests', responseData.requestId);
+    const request = stored && tenantOf(stored) === tenantId ? stored : null;
+    const { joined, orphaned, endToEndLatencyMs } = correlate(
+      request,
+      { ...responseData, tenantId },
+      timestamp
+    );
+
+    if (orphaned) {
+      console.warn(`⚠️  Orphaned response, no request found: ${responseData.requestId}`);
+    }
+
+    // Price the whole call now that the completion tokens are known
+    const priced = request && request.costSource === 'catalog'
+      ? pricing.priceRequest({ ...request, completionTokens: responseData.completionTokens })
+      : null;
+    if (priced) {
+      joined.cost = priced.cost;
+    }
+
+    // Redact PII before the response is published or stored
+    const redactedResponse = piiRedactor.applyConfiguredRedaction(responseData.response, { tenantId });
 
     const payload = {
       requestId: responseData.requestId,
-      response: responseData.response,
-      model: responseData.model || 'unknown',
+      tenantId,
+      userId: joined.userId,
+      response: redactedResponse.text,
+      piiRedactions: redactedResponse.redactions,
+      model: joined.model || 'unknown',
       latencyMs: responseData.latencyMs,
+      endToEndLatencyMs,
       completionTokens: responseData.completionTokens,
       totalTokens: responseData.totalTokens,
+      cost: joined.cost,
       confidenceScore: responseData.confidenceScore,
+      status,
+      provider: responseData.provider,
+      error: responseData.error,
+      orphaned,
       timestamp,
     };
 
@@ -64,27 +253,96 @@ async function handleResponse(responseData) {
     await kafkaProducer.publishResponse(payload);
 
     // Store metrics
-    metrics.responses.push(payload);
+    getStore().insert('responses', payload);
+    prometheusExporter.recordResponse(payload);
+    if (request) {
+      // Completion tokens are kept even when the model is not in the catalog
+      // yet, so recalculateCosts can price the whole request later
+      getStore().update('requests', request.requestId, {
+        respondedAt: timestamp,
+        completionTokens: responseData.completionTokens,
+        ...(priced && {
+          cost: priced.cost,
+          priceEffectiveFrom: priced.priceEffectiveFrom,
+        }),
+      });
+    }
 
-    // Analyze for anomalies
+    // The completion cost counts towards budgets on top of the prompt cost
+    if (priced) {
+      const completionCost = { ...request, cost: priced.cost - request.cost };
+      prometheusExporter.recordCost(completionCost, completionCost.cost);
+      await budgetManager.recordSpend(getStore(), completionCost);
+    }
+
+    // Analyze for anomalies with the request context against the
+    // rolling baselines for this model and user
+    const { baselineStats, ...baselineFields } = baselineService.getAnalysisBaselines(joined);
     const analysisPayload = {
-      ...responseData,
-      ...getAverageMetrics('responses'),
+      ...joined,
+      endToEndLatencyMs,
+      ...baselineFields,
+      tokenZScore: baselineService.zScore(joined.tokenCount, baselineStats.tokens),
+      costZScore: baselineService.zScore(joined.cost, baselineStats.cost),
+      latencyZScore: baselineService.zScore(joined.latencyMs, baselineStats.latencyMs),
     };
 
+    // Prompt-side checks already ran in the pre-flight guard
+    if (request && request.preflight) {
+      delete analysisPayload.prompt;
+    }
+
+    if (priced) {
+      analysisPayload.computedCost = priced.cost;
+      analysisPayload.reportedCost = request.reportedCost;
+    }
+
+    // Feed the sliding error window; failed calls are checked for an error spike
+    errorTracker.recordOutcome({
+      tenantId,
+      model: payload.model,
+      provider: payload.provider,
+      status,
+      errorType: payload.error && payload.error.type,
+      timestamp,
+    });
+
+    if (status === 'error') {
+      const errorWindow = errorTracker.getWorstWindow(payload);
+      analysisPayload.errorCount = errorWindow.errors;
+      analysisPayload.errorRate = errorWindow.errorRate;
+      analysisPayload.callCount = errorWindow.total;
+    }
+
     const anomalies = anomalyDetector.analyzeMessage(analysisPayload);
 
+    // Update baselines after analysis so a call is not compared with itself.
+    // Failed calls are left out so timeouts do not skew latency.
+    if (status === 'success') {
+      baselineService.recordSample({
+        tenantId,
+        model: payload.model,
+        userId: joined.userId,
+        tokens: joined.tokenCount,
+        cost: joined.cost,
+        latencyMs: joined.latencyMs,
+        timestamp,
+      });
+    }
+
     // Publish detected anomalies
     for (const anomaly of anomalies) {
       await publishAnomaly({
         ...anomaly,
         requestId: responseData.requestId,
-        userId: responseData.userId,
+        tenantId,
+        userId: joined.userId,
+        model: payload.model,
       });
     }
 
     console.log(`✅ Response handled: ${responseData.requestId}`);
-    return { success: true, anomalyCount: anomalies.length };
+    return { success: true, anomalyCount: anomalies.length, orphaned, endToEndLatencyMs };
   } catch (error) {
     console.error('❌ Failed to handle response:', error.message);
     throw error;
@@ -96,19 +354,62 @@ async function handleResponse(responseData) {
  */
 async function publishAnomaly(anomalyData) {
   try {
+    eventStream.publish('anomaly', anomalyData);
+    prometheusExporter.recordAnomaly(anomalyData);
+
     // Determine if this should trigger an alert
-    const shouldAlert = ['critical', 'high'].includes(anomalyData.severity);
+    const { escalation } = detectionPolicy.resolvePolicy({
+      model: anomalyData.model,
+      userId: anomalyData.userId,
+      tenantId: anomalyData.tenantId,
+    });
+    const shouldAlert = escalation.alertSeverities.includes(anomalyData.severity);
 
     if (shouldAlert) {
+      const timestamp = new Date().toISOString();
+
+      // Repeated anomalies are grouped into the existing incident
+      const grouped = incidentCorrelator.findGroupIncident(
+        getStore(),
+        anomalyData,
+        escalation.groupWindowMinutes
+      );
+
+      if (grouped) {
+        const patch = incidentCorrelator.recordOccurrence(grouped, anomalyData, escalation, timestamp);
+        const incident = getStore().update('incidents', grouped.id, patch);
+
+        // Only re-alert when the volume raised the severity
+        if (patch.severity) {
+          await kafkaProducer.publishAlert({
+            alertType: incident.type,
+            message: `${incident.description} (${incident.occurrenceCount} occurrences)`,
+            severity: incident.severity,
+            requestId: anomalyData.requestId,
+            tenantId: incident.tenantId,
+            userId: anomalyData.userId,
+            impactDescription: getAlertImpact(incident.type),
+            priority: escalation.priorities[incident.severity] || 'high',
+          });
+          console.log(`⏫ INCIDENT ESCALATED: ${incident.type} (${incident.id}) → ${incident.severity}`);
+        } else {
+          console.log(`🔁 Incident occurrence ${incident.occurrenceCount}: ${incident.type} (${incident.id})`);
+        }
+
+        eventStream.publish('incident.updated', incident);
+        return incident;
+      }
+
       // Publish to alerts topic
       await kafkaProducer.publishAlert({
         alertType: anomalyData.type,
         message: anomalyData.description,
         severity: anomalyData.severity,
         requestId: anomalyData.requestId,
+        tenantId: tenantOf(anomalyData),
         userId: anomalyData.userId,
         impactDescription: getAlertImpact(anomalyData.type),
-        priority: anomalyData.severity === 'critical' ? 'urgent' : 'high',
+        priority: escalation.priorities[anomalyData.severity] || 'high',
       });
 
       // Track incident
@@ -117,13 +418,20 @@ async function publishAnomaly(anomalyData) {
         type: anomalyData.type,
         severity: anomalyData.severity,
         requestId: anomalyData.requestId,
+        tenantId: tenantOf(anomalyData),
         userId: anomalyData.userId,
+        model: anomalyData.model,
         description: anomalyData.description,
-        timestamp: new Date().toISOString(),
+        timestamp,
         status: 'open',
+        assignee: null,
+        comments: [],
+        timeline: [incidentLifecycle.timelineEntry('created', { at: timestamp })],
+        ...incidentCorrelator.newGroupFields(anomalyData, timestamp),
       };
 
-      metrics.incidents.push(incident);
+      getStore().insert('incidents', incident);
+      eventStream.publish('incident.created', incident);
       console.log(`🚨 INCIDENT CREATED: ${incident.type} (${incident.id})`);
 
       return incident;
@@ -140,23 +448,6 @@ async function publishAnomaly(anomalyData) {
   }
 }
 
-/**
- * Get average metrics for comparison
- */
-function getAverageMetrics(type) {
-  if (type === 'responses' && metrics.responses.length > 0) {
-    const latencies = metrics.responses
-      .filter(r => r.latencyMs)
-      .map(r => r.latencyMs);
-    
-    return {
-      avgLatencyMs: latencies.length > 0 ? latencies.reduce((a, b) => a + b) / latencies.length : 0,
-    };
-  }
-
-  return {};
-}
-
 /**
  * Get impact description for alert type
  */
@@ -166,6 +457,7 @@ function getAlertImpact(alertType) {
     PROMPT_INJECTION: 'Potential security breach attempt detected',
     TOXIC_CONTENT: 'Model generated harmful or offensive content',
     COST_ANOMALY: 'Unexpected spike in API costs detected',
+    COST_MISMATCH: 'Client-reported cost does not match the pricing catalog',
     PERFORMANCE_DEGRADATION: 'Service response times significantly degraded',
     HALLUCINATION: 'Model generated potentially false or misleading information',
     ERROR_SPIKE: 'Unusual number of errors detected',
@@ -176,49 +468,164 @@ function getAlertImpact(alertType) {
 }
 
 /**
- * Get recent incidents
+ * Get the `count` most recent incidents, optionally for one tenant.
+ * Not subject to the search page size limit.
  */
-function getRecentIncidents(count = 10) {
-  return metrics.incidents
+function getRecentIncidents(count = 10, { tenantId } = {}) {
+  return getStore()
+    .find('incidents', inTenant(tenantId))
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
     .slice(0, count);
 }
 
 /**
- * Get incident details
+ * Search incidents with filters and cursor pagination (see ./incident-search)
+ */
+function searchIncidents(filters = {}) {
+  return incidentSearch.searchIncidents(getStore().find('incidents'), filters);
+}
+
+/**
+ * Get incident details.
+ * Incidents outside the caller's tenant are reported as missing.
+ */
+function getIncidentDetails(incidentId, { tenantId } = {}) {
+  const incident = getStore().get('incidents', incidentId);
+  return incident && inTenant(tenantId)(incident) ? incident : null;
+}
+
+/**
+ * Apply a lifecycle patch to an incident, or return null if it does not
+ * exist in the caller's tenant
+ */
+function updateIncident(incidentId, tenantId, buildPatch) {
+  const incident = getIncidentDetails(incidentId, { tenantId });
+  if (!incident) return null;
+
+  const updated = getStore().update('incidents', incidentId, buildPatch(incident));
+  eventStream.publish('incident.updated', updated);
+  return updated;
+}
+
+/**
+ * Move an incident to a new status
+ * Throws IllegalTransitionError if the move is not allowed
+ */
+function updateIncidentStatus(incidentId, status, { actor, note, resolution, tenantId } = {}) {
+  return updateIncident(incidentId, tenantId, incident => ({
+    ...incidentLifecycle.transition(incident, status, { actor, note }),
+    ...(resolution !== undefined && { resolution }),
+  }));
+}
+
+/**
+ * Acknowledge an incident
+ */
+function acknowledgeIncident(incidentId, { actor, note, tenantId } = {}) {
+  return updateIncidentStatus(incidentId, 'acknowledged', { actor, note, tenantId });
+}
+
+/**
+ * Reopen a resolved or closed incident
  */
-function getIncidentDetails(incidentId) {
-  return metrics.incidents.find(i => i.id === incidentId);
+function reopenIncident(incidentId, { actor, note, tenantId } = {}) {
+  return updateIncidentStatus(incidentId, 'reopened', { actor, note, tenantId });
 }
 
 /**
  * Close incident
  */
-function closeIncident(incidentId, resolution) {
-  const incident = metrics.incidents.find(i => i.id === incidentId);
-  if (incident) {
-    incident.status = 'closed';
-    incident.resolution = resolution;
-    incident.closedAt = new Date().toISOString();
-    return incident;
+function closeIncident(incidentId, resolution, { actor, tenantId } = {}) {
+  return updateIncidentStatus(incidentId, 'closed', { actor, note: resolution, resolution, tenantId });
+}
+
+/**
+ * Assign an incident to a responder
+ */
+function assignIncident(incidentId, assignee, { actor, tenantId } = {}) {
+  return updateIncident(incidentId, tenantId, incident => ({
+    assignee,
+    ...incidentLifecycle.appendTimeline(incident, incidentLifecycle.timelineEntry('assigned', {
+      actor,
+      from: incident.assignee,
+      to: assignee,
+    })),
+  }));
+}
+
+/**
+ * Add a comment to an incident's timeline
+ */
+function addIncidentComment(incidentId, text, { actor, tenantId } = {}) {
+  return updateIncident(incidentId, tenantId, incident => {
+    const comment = incidentLifecycle.timelineEntry('commented', { actor, text });
+    return {
+      comments: [...(incident.comments || []), comment],
+      ...incidentLifecycle.appendTimeline(incident, comment),
+    };
+  });
+}
+
+/**
+ * Escalate an incident to a higher severity and re-alert
+ */
+async function escalateIncident(incidentId, { severity, actor, note, tenantId } = {}) {
+  const incident = getIncidentDetails(incidentId, { tenantId });
+  if (!incident) return null;
+
+  const levels = detectionPolicy.SEVERITIES;
+  const current = levels.indexOf(incident.severity);
+  const target = severity ? levels.indexOf(severity) : Math.min(current + 1, levels.length - 1);
+
+  if (target < 0) {
+    throw new Error(`Unknown severity: ${severity}`);
   }
-  return null;
+  if (target <= current) {
+    throw new incidentLifecycle.IllegalTransitionError(incident.severity, levels[target]);
+  }
+
+  const { escalation } = detectionPolicy.resolvePolicy({
+    model: incident.model,
+    userId: incident.userId,
+    tenantId: incident.tenantId,
+  });
+  await kafkaProducer.publishAlert({
+    alertType: incident.type,
+    message: `Incident escalated to ${levels[target]}: ${incident.description}`,
+    severity: levels[target],
+    requestId: incident.requestId,
+    tenantId: tenantOf(incident),
+    userId: incident.userId,
+    impactDescription: getAlertImpact(incident.type),
+    priority: escalation.priorities[levels[target]] || 'high',
+  });
+
+  return updateIncident(incidentId, tenantId, () => ({
+    severity: levels[target],
+    ...incidentLifecycle.appendTimeline(incident, incidentLifecycle.timelineEntry('escalated', {
+      actor,
+      from: incident.severity,
+      to: levels[target],
+      note,
+    })),
+  }));
 }
 
 /**
- * Get safety metrics
+ * Get safety metrics, optionally for one tenant
  */
-function getSafetyMetrics() {
-  const totalRequests = metrics.requests.length;
-  const totalIncidents = metrics.incidents.length;
-  const openIncidents = metrics.incidents.filter(i => i.status === 'open').length;
+function getSafetyMetrics({ tenantId } = {}) {
+  const incidents = getStore().find('incidents', inTenant(tenantId));
+  const totalRequests = getStore().count('requests', inTenant(tenantId));
+  const totalIncidents = incidents.length;
+  const openIncidents = incidents.filter(incidentLifecycle.isActive).length;
   
   const safetyScore = totalRequests > 0 
     ? Math.max(0, 100 - (totalIncidents / totalRequests) * 100)
     : 100;
 
-  const byCriticalSeverity = metrics.incidents.filter(i => i.severity === 'critical').length;
-  const byHighSeverity = metrics.incidents.filter(i => i.severity === 'high').length;
+  const byCriticalSeverity = incidents.filter(i => i.severity === 'critical').length;
+  const byHighSeverity = incidents.filter(i => i.severity === 'high').length;
 
   return {
     totalRequests,
@@ -227,53 +634,157 @@ function getSafetyMetrics() {
     safetyScore: Math.round(safetyScore),
     criticalIncidents: byCriticalSeverity,
     highIncidents: byHighSeverity,
-    mttr: calculateMTTR(), // Mean Time to Repair
+    mtta: calculateMTTA(incidents), // Mean Time to Acknowledge
+    mttr: calculateMTTR(incidents), // Mean Time to Repair
+    errors: errorTracker.getErrorSummary({ tenantId }),
   };
 }
 
 /**
- * Calculate Mean Time to Repair
+ * Average minutes between incident creation and `field`
  */
-function calculateMTTR() {
-  const closedIncidents = metrics.incidents.filter(i => i.status === 'closed' && i.closedAt);
-  
-  if (closedIncidents.length === 0) return 0;
+function averageMinutesTo(incidents, field) {
+  if (incidents.length === 0) return 0;
 
-  const repairs = closedIncidents.map(i => {
+  const durations = incidents.map(i => {
     const created = new Date(i.timestamp);
-    const closed = new Date(i.closedAt);
-    return (closed - created) / 60000; // Convert to minutes
+    const reached = new Date(i[field]);
+    return (reached - created) / 60000; // Convert to minutes
   });
 
-  return Math.round(repairs.reduce((a, b) => a + b) / repairs.length);
+  return Math.round(durations.reduce((a, b) => a + b) / durations.length);
 }
 
 /**
- * Get cost analytics
+ * Calculate Mean Time to Acknowledge
  */
-function getCostAnalytics() {
-  const totalCost = metrics.requests.reduce((sum, req) => sum + (req.cost || 0), 0);
-  const avgCostPerRequest = metrics.requests.length > 0 ? totalCost / metrics.requests.length : 0;
+function calculateMTTA(incidents) {
+  return averageMinutesTo(incidents.filter(i => i.acknowledgedAt), 'acknowledgedAt');
+}
+
+/**
+ * Calculate Mean Time to Repair
+ * An incident counts as repaired when it is resolved, or closed without resolving
+ */
+function calculateMTTR(incidents) {
+  const repaired = incidents
+    .filter(i => !incidentLifecycle.isActive(i) && (i.resolvedAt || i.closedAt))
+    .map(i => ({ ...i, repairedAt: i.resolvedAt || i.closedAt }));
+
+  return averageMinutesTo(repaired, 'repairedAt');
+}
+
+/**
+ * Get the current rolling baselines per tenant, optionally for one tenant,
+ * model or user
+ */
+function getBaselines(filters = {}, { tenantId } = {}) {
+  return baselineService.listBaselines({ ...filters, tenantId });
+}
+
+/**
+ * Get orphaned responses and requests that timed out waiting for a response
+ */
+function getCorrelationReport({ tenantId } = {}) {
+  return buildCorrelationReport(getStore(), undefined, tenantId);
+}
+
+/**
+ * Get time-bucketed trends, optionally for one tenant and narrowed to one
+ * view (safety | cost | latency). Query: from, to, bucket (see ./trend-analytics)
+ */
+function getTrends(query = {}, { tenantId, view } = {}) {
+  const visible = inTenant(tenantId);
+  const trends = trendAnalytics.buildTrends({
+    requests: getStore().find('requests', visible),
+    responses: getStore().find('responses', visible),
+    incidents: getStore().find('incidents', visible),
+  }, query);
+
+  return view ? trendAnalytics.selectView(trends, view) : trends;
+}
+
+/**
+ * Get remaining budget, optionally for one tenant
+ */
+function getBudgetStatus({ tenantId } = {}) {
+  return budgetManager.getBudgetStatus(getStore(), { tenantId });
+}
+
+/**
+ * Re-price stored requests with the catalog, e.g. after a price correction.
+ * Each request is priced at the price in force when it was made.
+ */
+function recalculateCosts({ from, to, tenantId } = {}) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const visible = inTenant(tenantId);
+
+  const requests = getStore().find('requests', req => {
+    const time = new Date(req.timestamp).getTime();
+    return visible(req) && time >= fromTime && time <= toTime;
+  });
+
+  let updated = 0;
+  let unpriced = 0;
+  for (const request of requests) {
+    // Blocked requests never reached the model and cost nothing
+    if (request.blocked) continue;
+
+    const priced = pricing.priceRequest(request);
+    if (!priced) {
+      unpriced++;
+      continue;
+    }
+    if (priced.cost !== request.cost || request.costSource !== 'catalog') {
+      getStore().update('requests', request.requestId, {
+        cost: priced.cost,
+        costSource: 'catalog',
+        priceEffectiveFrom: priced.priceEffectiveFrom,
+      });
+      updated++;
+    }
+  }
+
+  console.log(`🏷️  Recalculated costs: ${updated} of ${requests.length} requests updated`);
+  return { scanned: requests.length, updated, unpriced };
+}
+
+/**
+ * Get cost analytics, optionally for one tenant
+ */
+function getCostAnalytics({ tenantId } = {}) {
+  const requests = getStore().find('requests', inTenant(tenantId));
+  const totalCost = requests.reduce((sum, req) => sum + (req.cost || 0), 0);
+  const avgCostPerRequest = requests.length > 0 ? totalCost / requests.length : 0;
   
   // Group by user
   const costByUser = {};
-  metrics.requests.forEach(req => {
+  requests.forEach(req => {
     const userId = req.userId || 'anonymous';
     costByUser[userId] = (costByUser[userId] || 0) + (req.cost || 0);
   });
 
   // Group by model
   const costByModel = {};
-  metrics.requests.forEach(req => {
+  requests.forEach(req => {
     const model = req.model || 'unknown';
     costByModel[model] = (costByModel[model] || 0) + (req.cost || 0);
   });
 
+  // Group by tenant
+  const costByTenant = {};
+  requests.forEach(req => {
+    const tenant = tenantOf(req);
+    costByTenant[tenant] = (costByTenant[tenant] || 0) + (req.cost || 0);
+  });
+
   return {
     totalCost: parseFloat(totalCost.toFixed(2)),
     avgCostPerRequest: parseFloat(avgCostPerRequest.toFixed(4)),
     costByUser,
     costByModel,
+    costByTenant,
   };
 }
 
@@ -282,8 +793,22 @@ module.exports = {
   handleResponse,
   publishAnomaly,
   getRecentIncidents,
+  searchIncidents,
   getIncidentDetails,
   closeIncident,
+  updateIncidentStatus,
+  acknowledgeIncident,
+  reopenIncident,
+  assignIncident,
+  addIncidentComment,
+  escalateIncident,
   getSafetyMetrics,
   getCostAnalytics,
+  getBudgetStatus,
+  getTrends,
+  recalculateCosts,
+  getCorrelationReport,
+  getBaselines,
+  useStore,
+  shutdown,
 };
@@ -0,0 +1,149 @@
+/**
+ * Incident Search
+ * Filtering, free-text search and cursor pagination over stored incidents.
+ * Results are sorted on copies; stored incidents are never reordered.
+ */
+
+const { tenantOf } = require('./tenancy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Thrown for malformed search parameters
+ */
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+/**
+ * Accept a list as an array or a comma-separated string
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an ISO timestamp or epoch milliseconds
+ */
+function toTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new SearchQueryError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Encode the position after an incident as an opaque cursor
+ */
+function encodeCursor(incident) {
+  return Buffer.from(JSON.stringify({ t: incident.timestamp, id: incident.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const time = new Date(t).getTime();
+    if (!t || !id || Number.isNaN(time)) throw new Error('incomplete cursor');
+    return { time, id };
+  } catch (error) {
+    throw new SearchQueryError('Invalid cursor');
+  }
+}
+
+/**
+ * Compare incidents by timestamp, then id, so the order is total and stable
+ */
+function compareIncidents(a, b) {
+  return new Date(a.timestamp) - new Date(b.timestamp) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Build a predicate from search filters
+ */
+function buildPredicate(filters) {
+  const severities = toList(filters.severity);
+  const types = toList(filters.type);
+  const statuses = toList(filters.status);
+  const userIds = toList(filters.userId);
+  const models = toList(filters.model);
+  const tenants = toList(filters.tenantId);
+  const from = toTime(filters.from, 'from');
+  const to = toTime(filters.to, 'to');
+  const text = filters.q ? String(filters.q).toLowerCase() : null;
+
+  return incident => {
+    const time = new Date(incident.timestamp).getTime();
+
+    if (severities && !severities.includes(incident.severity)) return false;
+    if (types && !types.includes(incident.type)) return false;
+    if (statuses && !statuses.includes(incident.status)) return false;
+    if (userIds && !userIds.includes(incident.userId)) return false;
+    if (models && !models.includes(incident.model)) return false;
+    if (tenants && !tenants.includes(tenantOf(incident))) return false;
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    if (text && !(incident.description || '').toLowerCase().includes(text)) return false;
+
+    return true;
+  };
+}
+
+/**
+ * Search incidents
+ *
+ * Filters: severity, type, status, userId, model, tenantId (single value, list or
+ * comma-separated), from/to (incident creation time), q (description text).
+ * Paging: limit, cursor (from a previous nextCursor), order (desc | asc).
+ */
+function searchIncidents(incidents, filters = {}) {
+  const order = filters.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw new SearchQueryError('order must be asc or desc');
+  }
+
+  const limit = filters.limit === undefined ? DEFAULT_LIMIT : parseInt(filters.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new SearchQueryError('limit must be a positive integer');
+  }
+  const pageSize = Math.min(limit, MAX_LIMIT);
+
+  const direction = order === 'desc' ? -1 : 1;
+  const matches = incidents
+    .filter(buildPredicate(filters))
+    .sort((a, b) => direction * compareIncidents(a, b));
+
+  let start = 0;
+  if (filters.cursor) {
+    const position = decodeCursor(filters.cursor);
+    const after = { timestamp: new Date(position.time).toISOString(), id: position.id };
+    start = matches.findIndex(incident => direction * compareIncidents(incident, after) > 0);
+    if (start === -1) start = matches.length;
+  }
+
+  const page = matches.slice(start, start + pageSize);
+  const hasMore = start + pageSize < matches.length;
+
+  return {
+    incidents: page,
+    total: matches.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  searchIncidents,
+  SearchQueryError,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+};
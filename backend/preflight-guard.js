@@ -0,0 +1,90 @@
+/**
+ * Pre-flight Guard
+ * Runs the prompt-side detectors synchronously at submission time and
+ * returns a verdict the calling gateway can act on before the model is hit.
+ */
+
+const anomalyDetector = require('../datadog-integration/anomaly-detector');
+const detectionPolicy = require('../datadog-integration/detection-policy');
+const piiRedactor = require('../datadog-integration/pii-redactor');
+
+// Verdicts, least to most restrictive
+const VERDICTS = ['allow', 'warn', 'redact', 'block'];
+
+// PII types that are too sensitive to forward even when redacted
+const BLOCKING_PII_TYPES = [
+  'SSN',
+  'CREDIT_CARD',
+  'IBAN',
+  'PASSPORT',
+  'DRIVERS_LICENSE',
+  'API_KEY',
+  'AWS_ACCESS_KEY',
+  'AWS_SECRET_KEY',
+  'GCP_API_KEY',
+  'GITHUB_TOKEN',
+  'JWT',
+  'PRIVATE_KEY',
+];
+
+/**
+ * Pick the more restrictive of two verdicts
+ */
+function escalateVerdict(current, next) {
+  return VERDICTS.indexOf(next) > VERDICTS.indexOf(current) ? next : current;
+}
+
+/**
+ * Evaluate a prompt and return { verdict, evidence, redactedPrompt? }.
+ * Detectors disabled in the detection policy are skipped.
+ */
+function evaluatePrompt(prompt, { model, userId, tenantId } = {}) {
+  let verdict = 'allow';
+  const evidence = [];
+  const { detectors, thresholds } = detectionPolicy.resolvePolicy({ model, userId, tenantId });
+
+  const injections = detectors.PROMPT_INJECTION.enabled
+    ? anomalyDetector.findPromptInjections(prompt)
+    : [];
+  for (const injection of injections) {
+    evidence.push({ detector: 'PROMPT_INJECTION', ...injection });
+    // Only explicit override phrases block; looser matches need a human look
+    verdict = escalateVerdict(verdict, injection.confidence === 'high' ? 'block' : 'warn');
+  }
+
+  const pii = detectors.PII_IN_REQUEST.enabled ? anomalyDetector.detectPII(prompt) : [];
+  for (const finding of pii) {
+    evidence.push({
+      detector: 'PII_IN_REQUEST',
+      type: finding.type,
+      count: finding.count,
+      confidence: finding.confidence,
+      spans: finding.spans,
+    });
+
+    // Only block on confident findings; redact the rest
+    const shouldBlock = BLOCKING_PII_TYPES.includes(finding.type) &&
+      finding.confidence >= thresholds.piiHighConfidence;
+    verdict = escalateVerdict(verdict, shouldBlock ? 'block' : 'redact');
+  }
+
+  const toxicKeywords = detectors.TOXIC_CONTENT.enabled
+    ? anomalyDetector.findToxicKeywords(prompt)
+    : [];
+  for (const keyword of toxicKeywords) {
+    evidence.push({ detector: 'TOXIC_CONTENT', match: keyword });
+    verdict = escalateVerdict(verdict, 'warn');
+  }
+
+  const result = { verdict, evidence };
+  if (verdict === 'redact') {
+    const strategy = piiRedactor.getRedactionMode() || 'mask';
+    result.redactedPrompt = piiRedactor.redactPII(prompt, { strategy, tenantId }).text;
+  }
+  return result;
+}
+
+module.exports = {
+  evaluatePrompt,
+  VERDICTS,
+};
@@ -0,0 +1,132 @@
+/**
+ * Pricing Catalog
+ * Versioned per-model token prices. Each model lists price versions with the
+ * date they took effect, so older requests are priced with the price in
+ * force when they were made.
+ *
+ * Catalog file:
+ *   { "version": 1, "currency": "USD", "unit": "per_million_tokens",
+ *     "models": { "<model>": [{ "effectiveFrom": "2024-10-01", "input": 1.25, "output": 5 }] } }
+ *
+ * Environment:
+ *   PRICING_PATH  Catalog file (default: ./pricing.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, 'pricing.json');
+const TOKENS_PER_UNIT = 1000000;
+
+let catalog = null;
+
+/**
+ * Validate a parsed catalog, returning a list of problems
+ */
+function validateCatalog(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return ['pricing catalog must be a JSON object'];
+  }
+  if (config.version !== 1) {
+    errors.push('version must be 1');
+  }
+
+  for (const [model, versions] of Object.entries(config.models || {})) {
+    if (!Array.isArray(versions) || versions.length === 0) {
+      errors.push(`models.${model} must be a non-empty list of price versions`);
+      continue;
+    }
+    versions.forEach((version, i) => {
+      if (Number.isNaN(new Date(version.effectiveFrom).getTime())) {
+        errors.push(`models.${model}[${i}].effectiveFrom must be a date`);
+      }
+      for (const field of ['input', 'output']) {
+        if (typeof version[field] !== 'number' || version[field] < 0) {
+          errors.push(`models.${model}[${i}].${field} must be a non-negative number`);
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Load the catalog file and make it the active catalog.
+ * Price versions are kept sorted newest first.
+ */
+function loadCatalog(filePath = process.env.PRICING_PATH || DEFAULT_PRICING_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateCatalog(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pricing catalog ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const models = {};
+  for (const [model, versions] of Object.entries(config.models || {})) {
+    models[model] = [...versions].sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+  }
+
+  catalog = { ...config, models };
+  console.log(`🏷️  Pricing catalog loaded: ${filePath}`);
+  return catalog;
+}
+
+/**
+ * Get the active catalog, loading it on first use
+ */
+function getCatalog() {
+  if (!catalog) loadCatalog();
+  return catalog;
+}
+
+/**
+ * Price version in force for a model at a point in time, or null if the
+ * model is not in the catalog or was not priced yet
+ */
+function getPrice(model, at = new Date()) {
+  const versions = getCatalog().models[model];
+  if (!versions) return null;
+
+  const time = new Date(at).getTime();
+  return versions.find(version => new Date(version.effectiveFrom).getTime() <= time) || null;
+}
+
+/**
+ * Cost of a call from its token counts, or null if the model has no price.
+ * Missing token counts are priced as zero.
+ */
+function computeCost({ model, inputTokens = 0, outputTokens = 0, at = new Date() }) {
+  const price = getPrice(model, at);
+  if (!price) return null;
+
+  const cost = (inputTokens * price.input + outputTokens * price.output) / TOKENS_PER_UNIT;
+  return {
+    cost: parseFloat(cost.toFixed(6)),
+    priceEffectiveFrom: price.effectiveFrom,
+  };
+}
+
+/**
+ * Price a stored request (prompt tokens plus completion tokens, if its
+ * response has arrived) at the price in force when it was made
+ */
+function priceRequest(request) {
+  return computeCost({
+    model: request.model,
+    inputTokens: request.tokenCount || 0,
+    outputTokens: request.completionTokens || 0,
+    at: request.timestamp,
+  });
+}
+
+module.exports = {
+  computeCost,
+  priceRequest,
+  getPrice,
+  getCatalog,
+  loadCatalog,
+  validateCatalog,
+};
@@ -0,0 +1,230 @@
+/**
+ * Prometheus Exporter
+ * Counters, histograms and gauges rendered in the Prometheus text format
+ * for GET /metrics. Metric names and labels mirror the llm_monitoring.*
+ * metrics and tags the Datadog consumer sends, so dashboards can be ported.
+ */
+
+const { tenantOf } = require('./tenancy');
+
+const PREFIX = 'llm_monitoring_';
+
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+const TOKEN_BUCKETS = [100, 250, 500, 1000, 2000, 4000, 8000, 16000, 32000, 128000];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Normalize label values in declared order; missing values become "unknown"
+ */
+function labelValues(labelNames, labels) {
+  const values = {};
+  for (const name of labelNames) {
+    const value = labels[name];
+    values[name] = value === undefined || value === null || value === '' ? 'unknown' : String(value);
+  }
+  return values;
+}
+
+/**
+ * Register a counter
+ */
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+
+  const counter = {
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      if (!(value >= 0)) return;
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const entry = series.get(key) || { labels: values, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    samples() {
+      return [...series.values()].map(({ labels, value }) => ({ name: counter.name, labels, value }));
+    },
+  };
+
+  metrics.push(counter);
+  return counter;
+}
+
+/**
+ * Register a histogram with cumulative `le` buckets
+ */
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+
+  const histogram = {
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const entry = series.get(key) || { labels: values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    samples() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => ({
+          name: `${histogram.name}_bucket`,
+          labels: { ...labels, le: String(bound) },
+          value: counts[i],
+        })),
+        { name: `${histogram.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${histogram.name}_sum`, labels, value: sum },
+        { name: `${histogram.name}_count`, labels, value: count },
+      ]);
+    },
+  };
+
+  metrics.push(histogram);
+  return histogram;
+}
+
+/**
+ * Register a gauge whose samples are read at scrape time
+ */
+function createGauge(name, help, labelNames, collect) {
+  const gauge = {
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    samples() {
+      return collect().map(({ labels, value }) => ({
+        name: gauge.name,
+        labels: labelValues(labelNames, labels),
+        value,
+      }));
+    },
+  };
+
+  metrics.push(gauge);
+  return gauge;
+}
+
+// ============================================
+// Metrics
+// ============================================
+
+const requestCount = createCounter('request_count_total', 'LLM requests received', ['tenant', 'user_id', 'model']);
+const tokenUsage = createHistogram('token_usage', 'Prompt tokens per request', ['tenant', 'model'], TOKEN_BUCKETS);
+const completionTokens = createHistogram('completion_tokens', 'Completion tokens per response', ['tenant', 'model'], TOKEN_BUCKETS);
+const requestCost = createCounter('request_cost_dollars_total', 'Spend on LLM calls in dollars', ['tenant', 'model']);
+const responseLatency = createHistogram('response_latency_ms', 'Provider response latency in milliseconds', ['tenant', 'model', 'status'], LATENCY_BUCKETS_MS);
+const responseErrors = createCounter('response_error_count_total', 'Failed LLM calls', ['tenant', 'model', 'provider', 'error_type']);
+const anomalies = createCounter('anomaly_detected_total', 'Anomalies detected', ['tenant', 'anomaly_type', 'severity']);
+
+let openIncidentsCollector = () => [];
+createGauge('open_incidents', 'Incidents not yet resolved or closed', ['tenant', 'severity'], () => openIncidentsCollector());
+
+/**
+ * Record a stored request
+ */
+function recordRequest(request) {
+  const tenant = tenantOf(request);
+  requestCount.inc({ tenant, user_id: request.userId, model: request.model });
+  if (request.tokenCount) {
+    tokenUsage.observe({ tenant, model: request.model }, request.tokenCount);
+  }
+  recordCost(request, request.cost);
+}
+
+/**
+ * Record spend; called again with the difference once a response re-prices a call
+ */
+function recordCost(record, amount) {
+  if (amount > 0) {
+    requestCost.inc({ tenant: tenantOf(record), model: record.model }, amount);
+  }
+}
+
+/**
+ * Record a stored response
+ */
+function recordResponse(response) {
+  const tenant = tenantOf(response);
+  if (response.latencyMs !== undefined) {
+    responseLatency.observe({ tenant, model: response.model, status: response.status }, response.latencyMs);
+  }
+  if (response.completionTokens) {
+    completionTokens.observe({ tenant, model: response.model }, response.completionTokens);
+  }
+  if (response.status === 'error') {
+    responseErrors.inc({
+      tenant,
+      model: response.model,
+      provider: response.provider,
+      error_type: response.error && response.error.type,
+    });
+  }
+}
+
+/**
+ * Record a detected anomaly
+ */
+function recordAnomaly(anomaly) {
+  anomalies.inc({ tenant: tenantOf(anomaly), anomaly_type: anomaly.type, severity: anomaly.severity });
+}
+
+/**
+ * Set the scrape-time source of open incident counts: () => [{ labels, value }]
+ */
+function setOpenIncidentsCollector(collect) {
+  openIncidentsCollector = collect;
+}
+
+/**
+ * Render all metrics in the Prometheus text format.
+ * With a tenant, only that tenant's series are included.
+ */
+function render({ tenantId } = {}) {
+  const lines = [];
+
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const sample of metric.samples()) {
+      if (tenantId && sample.labels.tenant !== tenantId) continue;
+      lines.push(`${sample.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  recordRequest,
+  recordResponse,
+  recordCost,
+  recordAnomaly,
+  setOpenIncidentsCollector,
+  render,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+};
@@ -0,0 +1,298 @@
+/**
+ * Command Center dashboard
+ * Plain browser script on top of the REST and stream endpoints.
+ */
+
+const ACTIVE_STATUSES = 'open,reopened,acknowledged,investigating,mitigated';
+const REFRESH_INTERVAL_MS = 15000;
+const MAX_ANOMALIES = 50;
+const API_KEY_STORAGE = 'commandCenterApiKey';
+
+let selectedIncidentId = null;
+let streamSource = null;
+
+const $ = id => document.getElementById(id);
+
+/**
+ * Escape text for insertion into HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[char]));
+}
+
+// ============================================
+// Credentials
+// ============================================
+
+function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE) || '';
+}
+
+function authHeaders() {
+  const apiKey = getApiKey();
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+function saveApiKey(event) {
+  event.preventDefault();
+
+  const apiKey = $('api-key').value.trim();
+  if (apiKey) {
+    localStorage.setItem(API_KEY_STORAGE, apiKey);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE);
+  }
+
+  refreshAll();
+  connectStream();
+}
+
+/**
+ * Call a JSON API route, throwing on error responses
+ */
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+const getJson = async path => (await api(path)).json();
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '–';
+}
+
+function severityBadge(severity) {
+  return `<span class="severity ${escapeHtml(severity)}">${escapeHtml(severity)}</span>`;
+}
+
+// ============================================
+// Metrics
+// ============================================
+
+function renderBars(container, values) {
+  const entries = Object.entries(values).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  const max = Math.max(...entries.map(([, value]) => value), 0);
+
+  container.innerHTML = entries.length === 0
+    ? '<p class="muted">No cost data yet</p>'
+    : entries.map(([label, value]) => `
+      <div class="bar">
+        <span class="label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>
+        <span class="track"><span class="fill" style="width: ${max ? (value / max) * 100 : 0}%"></span></span>
+        <span class="value">$${value.toFixed(2)}</span>
+      </div>`).join('');
+}
+
+async function refreshMetrics() {
+  const [safety, cost] = await Promise.all([
+    getJson('/api/metrics/safety'),
+    getJson('/api/metrics/cost'),
+  ]);
+
+  $('safety-score').textContent = safety.safetyScore;
+  $('open-incidents').textContent = safety.openIncidents;
+  $('severity-breakdown').textContent =
+    `${safety.criticalIncidents} critical · ${safety.highIncidents} high (all time)`;
+  $('mean-times').textContent = `${safety.mtta} / ${safety.mttr}`;
+
+  $('total-cost').textContent = `$${cost.totalCost.toFixed(2)}`;
+  $('avg-cost').textContent = `$${cost.avgCostPerRequest.toFixed(4)} per request`;
+  renderBars($('cost-by-user'), cost.costByUser);
+  renderBars($('cost-by-model'), cost.costByModel);
+}
+
+// ============================================
+// Incidents
+// ============================================
+
+async function refreshIncidents() {
+  const { incidents } = await getJson(`/api/incidents?status=${ACTIVE_STATUSES}&limit=50`);
+
+  $('no-incidents').hidden = incidents.length > 0;
+  $('incident-rows').innerHTML = incidents.map(incident => `
+    <tr data-id="${escapeHtml(incident.id)}">
+      <td>${severityBadge(incident.severity)}</td>
+      <td>${escapeHtml(incident.type)}</td>
+      <td>${escapeHtml(incident.userId)}</td>
+      <td>${escapeHtml(incident.model)}</td>
+      <td>${formatTime(incident.lastSeenAt || incident.timestamp)}${
+        incident.occurrenceCount > 1 ? ` <span class="muted">×${incident.occurrenceCount}</span>` : ''}</td>
+      <td>${escapeHtml(incident.status)}</td>
+      <td>›</td>
+    </tr>`).join('');
+}
+
+async function showIncident(incidentId) {
+  const incident = await getJson(`/api/incidents/${encodeURIComponent(incidentId)}`);
+  selectedIncidentId = incident.id;
+
+  $('incident-detail').hidden = false;
+  $('detail-id').textContent = incident.id;
+  $('detail-description').textContent = incident.description;
+
+  const fields = {
+    Severity: severityBadge(incident.severity),
+    Type: escapeHtml(incident.type),
+    Status: escapeHtml(incident.status),
+    Assignee: escapeHtml(incident.assignee || '–'),
+    User: escapeHtml(incident.userId),
+    Model: escapeHtml(incident.model),
+    Occurrences: escapeHtml(incident.occurrenceCount || 1),
+    'First seen': formatTime(incident.firstSeenAt || incident.timestamp),
+    'Last seen': formatTime(incident.lastSeenAt || incident.timestamp),
+    Resolution: escapeHtml(incident.resolution || '–'),
+  };
+  $('detail-fields').innerHTML = Object.entries(fields)
+    .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+
+  $('detail-timeline').innerHTML = (incident.timeline || []).map(entry => `
+    <li>
+      <span class="muted">${formatTime(entry.at)}</span>
+      ${escapeHtml(entry.actor)} · ${escapeHtml(entry.action)}
+      ${entry.to ? `→ ${escapeHtml(entry.to)}` : ''}
+      ${entry.note || entry.text ? `<div>${escapeHtml(entry.note || entry.text)}</div>` : ''}
+    </li>`).join('');
+
+  document.querySelector('[data-action="acknowledge"]').disabled = !['open', 'reopened'].includes(incident.status);
+  document.querySelector('[data-action="close"]').disabled = incident.status === 'closed';
+}
+
+async function runIncidentAction(action) {
+  if (action === 'dismiss') {
+    $('incident-detail').hidden = true;
+    selectedIncidentId = null;
+    return;
+  }
+
+  const id = encodeURIComponent(selectedIncidentId);
+  try {
+    if (action === 'acknowledge') {
+      await api(`/api/incidents/${id}/acknowledge`, { method: 'POST', body: {} });
+    } else if (action === 'close') {
+      const resolution = window.prompt('Resolution');
+      if (resolution === null) return;
+      await api(`/api/incidents/${id}/close`, { method: 'POST', body: { resolution } });
+    }
+    await Promise.all([showIncident(selectedIncidentId), refreshIncidents(), refreshMetrics()]);
+  } catch (error) {
+    window.alert(`Could not ${action} incident: ${error.message}`);
+  }
+}
+
+// ============================================
+// Live anomaly feed
+// ============================================
+
+function addAnomaly(anomaly, timestamp) {
+  const item = document.createElement('li');
+  item.innerHTML = `${severityBadge(anomaly.severity)} <strong>${escapeHtml(anomaly.type)}</strong>
+    <span class="muted">${formatTime(timestamp)} · ${escapeHtml(anomaly.model || '')}</span>
+    <div>${escapeHtml(anomaly.description)}</div>`;
+
+  const feed = $('anomalies');
+  feed.prepend(item);
+  while (feed.children.length > MAX_ANOMALIES) feed.lastChild.remove();
+}
+
+function connectStream() {
+  if (streamSource) streamSource.close();
+
+  // EventSource cannot send headers, so the key goes in the query string
+  const params = new URLSearchParams({ events: 'anomaly,incident.created,incident.updated,metrics.snapshot' });
+  if (getApiKey()) params.set('access_token', getApiKey());
+
+  const source = new EventSource(`/api/stream?${params}`);
+  streamSource = source;
+  const connection = $('connection');
+
+  source.onopen = () => {
+    connection.textContent = 'live';
+    connection.className = 'badge live';
+  };
+  source.onerror = () => {
+    connection.textContent = 'reconnecting…';
+    connection.className = 'badge offline';
+  };
+
+  source.addEventListener('anomaly', message => {
+    const event = JSON.parse(message.data);
+    addAnomaly(event.data, event.timestamp);
+  });
+
+  const onIncidentChange = message => {
+    const event = JSON.parse(message.data);
+    refreshIncidents().catch(console.error);
+    if (event.data.id === selectedIncidentId) showIncident(selectedIncidentId).catch(console.error);
+  };
+  source.addEventListener('incident.created', onIncidentChange);
+  source.addEventListener('incident.updated', onIncidentChange);
+  source.addEventListener('metrics.snapshot', () => refreshMetrics().catch(console.error));
+}
+
+// ============================================
+// Voice query
+// ============================================
+
+async function askQuestion(event) {
+  event.preventDefault();
+
+  const query = $('voice-query').value.trim();
+  if (!query) return;
+
+  const answer = $('voice-answer');
+  const audio = $('voice-audio');
+  answer.textContent = 'Thinking…';
+  audio.hidden = true;
+
+  try {
+    const { response } = await (await api('/api/voice/query', { method: 'POST', body: { query } })).json();
+    answer.textContent = response;
+
+    if ($('voice-speak').checked) {
+      const speech = await api('/api/voice/speak', { method: 'POST', body: { text: response } });
+      audio.src = URL.createObjectURL(await speech.blob());
+      audio.hidden = false;
+      await audio.play();
+    }
+  } catch (error) {
+    answer.textContent = `Error: ${error.message}`;
+  }
+}
+
+// ============================================
+// Startup
+// ============================================
+
+function refreshAll() {
+  return Promise.all([refreshMetrics(), refreshIncidents()]).catch(error => {
+    console.error('Refresh failed:', error);
+  });
+}
+
+$('incident-rows').addEventListener('click', event => {
+  const row = event.target.closest('tr[data-id]');
+  if (row) showIncident(row.dataset.id).catch(console.error);
+});
+
+document.querySelectorAll('#incident-detail [data-action]').forEach(button => {
+  button.addEventListener('click', () => runIncidentAction(button.dataset.action));
+});
+
+$('voice-form').addEventListener('submit', askQuestion);
+$('credentials-form').addEventListener('submit', saveApiKey);
+$('api-key').value = getApiKey();
+
+refreshAll();
+setInterval(refreshAll, REFRESH_INTERVAL_MS);
+connectStream();
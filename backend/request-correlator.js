@@ -0,0 +1,92 @@
+/**
+ * Request/Response Correlation
+ * Joins LLM responses with the request that produced them and reports
+ * responses without a request and requests that never got a response.
+ */
+
+const { inTenant } = require('./tenancy');
+
+// How long a request may wait for its response before it is reported
+const RESPONSE_TIMEOUT_MS = parseInt(process.env.RESPONSE_TIMEOUT_MS || '300000', 10);
+
+// Request fields carried over onto the response for analysis
+const REQUEST_FIELDS = ['prompt', 'userId', 'model', 'cost', 'tokenCount', 'metadata', 'tenantId'];
+
+/**
+ * Copy only the defined values of `source` onto `target`
+ */
+function assignDefined(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value !== undefined) target[key] = value;
+  }
+  return target;
+}
+
+/**
+ * Join a response with its originating request.
+ * Response values win over request values when both are present.
+ */
+function correlate(request, responseData, respondedAt = new Date().toISOString()) {
+  if (!request) {
+    return {
+      orphaned: true,
+      endToEndLatencyMs: null,
+      joined: assignDefined({}, responseData),
+    };
+  }
+
+  const requestFields = {};
+  for (const field of REQUEST_FIELDS) {
+    requestFields[field] = request[field];
+  }
+
+  return {
+    orphaned: false,
+    endToEndLatencyMs: new Date(respondedAt) - new Date(request.timestamp),
+    joined: assignDefined(assignDefined({}, requestFields), responseData),
+  };
+}
+
+/**
+ * Requests still waiting for a response after the timeout.
+ * Blocked requests never reach the model, so they are never waiting.
+ */
+function findUnansweredRequests(store, timeoutMs = RESPONSE_TIMEOUT_MS, now = Date.now()) {
+  return store.find('requests', req =>
+    !req.respondedAt && !req.blocked && now - new Date(req.timestamp).getTime() > timeoutMs
+  );
+}
+
+/**
+ * Summarize correlation health, optionally for one tenant
+ */
+function getCorrelationReport(store, timeoutMs = RESPONSE_TIMEOUT_MS, tenantId = null) {
+  const visible = inTenant(tenantId);
+  const orphanedResponses = store.find('responses', res => res.orphaned && visible(res));
+  const unansweredRequests = findUnansweredRequests(store, timeoutMs).filter(visible);
+
+  return {
+    responseTimeoutMs: timeoutMs,
+    orphanedResponseCount: orphanedResponses.length,
+    unansweredRequestCount: unansweredRequests.length,
+    orphanedResponses: orphanedResponses.map(res => ({
+      requestId: res.requestId,
+      model: res.model,
+      timestamp: res.timestamp,
+    })),
+    unansweredRequests: unansweredRequests.map(req => ({
+      requestId: req.requestId,
+      userId: req.userId,
+      model: req.model,
+      timestamp: req.timestamp,
+      waitingMs: Date.now() - new Date(req.timestamp).getTime(),
+    })),
+  };
+}
+
+module.exports = {
+  correlate,
+  findUnansweredRequests,
+  getCorrelationReport,
+  RESPONSE_TIMEOUT_MS,
+};
@@ -1,21 +1,65 @@
 require('dotenv').config({ path: '../.env' });
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const kafkaProducer = require('../kafka-integration/producer');
 const incidentManager = require('./incident-manager');
 const geminiHandler = require('./gemini-handler');
 const voiceSynthesis = require('./voice-synthesis');
+const { ERROR_TYPES } = require('./error-tracker');
+const { IllegalTransitionError, STATUSES } = require('./incident-lifecycle');
+const { SearchQueryError } = require('./incident-search');
+const eventStream = require('./event-stream');
+const { BudgetExceededError } = require('./budget-manager');
+const schemas = require('../kafka-integration/schemas');
+const pricing = require('./pricing');
+const { TrendQueryError } = require('./trend-analytics');
+const prometheusExporter = require('./prometheus-exporter');
+const auth = require('./auth');
+const piiRedactor = require('../datadog-integration/pii-redactor');
+const { DEFAULT_TENANT } = require('./tenancy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const METRICS_STREAM_INTERVAL_MS = parseInt(process.env.METRICS_STREAM_INTERVAL_MS || '10000', 10);
+// Run the Datadog consumer inside this process (required with KAFKA_TRANSPORT=memory)
+const CONSUMER_IN_PROCESS = process.env.CONSUMER_IN_PROCESS === 'true';
+
+// Loaded only when CONSUMER_IN_PROCESS is set
+let inProcessConsumer = null;
 
 // Middleware
 app.use(express.json());
-app.use(cors());
+app.use(cors(auth.corsOptions()));
+
+// Command Center dashboard
+app.use(express.static(path.join(__dirname, 'public')));
 
-// Health check
+// Health check (public)
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const kafka = kafkaProducer.getStatus();
+  // Still serving, but events are queued locally until the broker is back
+  const degraded = !kafka.connected || kafka.outbox.depth > 0;
+
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    kafka,
+  });
+});
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint (send an API key or token as a bearer token).
+ * Tenant-bound principals only see their tenant's series.
+ */
+app.get('/metrics', auth.requirePermission('read'), (req, res) => {
+  try {
+    res.set('Content-Type', prometheusExporter.CONTENT_TYPE);
+    res.send(prometheusExporter.render({ tenantId: req.tenantId }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ============================================
@@ -24,9 +68,11 @@ app.get('/health', (req, res) => {
 
 /**
  * POST /api/llm/request
- * Submit a new LLM request for monitoring
+ * Submit a new LLM request for monitoring.
+ * Returns a pre-flight verdict: allow | warn | redact | block.
+ * Responds 402 when a hard-stop budget would be exceeded.
  */
-app.post('/api/llm/request', async (req, res) => {
+app.post('/api/llm/request', auth.requirePermission('ingest'), async (req, res) => {
   try {
     const { userId, model, prompt, tokenCount, cost, metadata } = req.body;
 
@@ -36,6 +82,12 @@ app.post('/api/llm/request', async (req, res) => {
       });
     }
 
+    // Reject bad field types before anything is stored, spent or published
+    const invalid = schemas.validateFields('llm-requests', { userId, model, prompt, tokenCount, cost, metadata });
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid request fields', details: invalid });
+    }
+
     const result = await incidentManager.handleRequest({
       userId,
       model,
@@ -43,14 +95,22 @@ app.post('/api/llm/request', async (req, res) => {
       tokenCount,
       cost,
       metadata,
+      tenantId: req.tenantId,
     });
 
     res.json({
       success: true,
       requestId: result.requestId,
       timestamp: result.timestamp,
+      verdict: result.verdict,
+      allowed: result.verdict !== 'block',
+      evidence: result.evidence,
+      redactedPrompt: result.redactedPrompt,
     });
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, allowed: false, budgets: error.exceeded });
+    }
     console.error('Request handling error:', error.message);
     res.status(500).json({ error: error.message });
   }
@@ -58,36 +118,76 @@ app.post('/api/llm/request', async (req, res) => {
 
 /**
  * POST /api/llm/response
- * Submit LLM response with analysis
+ * Submit LLM response with analysis.
+ * Failed calls send status 'error' with error: { type, message, code }
+ * instead of a response.
  */
-app.post('/api/llm/response', async (req, res) => {
+app.post('/api/llm/response', auth.requirePermission('ingest'), async (req, res) => {
   try {
     const {
       requestId,
       userId,
       model,
+      provider,
       response,
       latencyMs,
       completionTokens,
       totalTokens,
       confidenceScore,
+      status,
+      error,
     } = req.body;
 
-    if (!requestId || !response) {
+    const isError = status === 'error' || (!status && error);
+
+    if (!requestId || (!response && !isError)) {
       return res.status(400).json({
         error: 'Missing required fields: requestId, response',
       });
     }
 
+    if (status && !['success', 'error'].includes(status)) {
+      return res.status(400).json({ error: 'status must be success or error' });
+    }
+
+    if (isError && (!error || !ERROR_TYPES.includes(error.type))) {
+      return res.status(400).json({
+        error: `Failed calls need error.type: ${ERROR_TYPES.join(', ')}`,
+      });
+    }
+
+    // Reject bad field types before anything is stored or published
+    const invalid = schemas.validateFields('llm-responses', {
+      requestId,
+      userId,
+      model,
+      provider,
+      response,
+      latencyMs,
+      completionTokens,
+      totalTokens,
+      confidenceScore,
+      error: isError ? { type: error.type, message: error.message } : undefined,
+    });
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid response fields', details: invalid });
+    }
+
     const result = await incidentManager.handleResponse({
       requestId,
       userId,
       model,
+      provider,
       response,
       latencyMs,
       completionTokens,
       totalTokens,
       confidenceScore,
+      status: isError ? 'error' : 'success',
+      error: isError
+        ? { type: error.type, message: error.message, code: error.code }
+        : undefined,
+      tenantId: req.tenantId,
     });
 
     res.json({
@@ -104,27 +204,179 @@ app.post('/api/llm/response', async (req, res) => {
 // Analytics & Metrics Endpoints
 // ============================================
 
+/**
+ * Whether a metrics request asks for trends
+ */
+function wantsTrends(query) {
+  return ['from', 'to', 'bucket'].some(param => query[param] !== undefined);
+}
+
+/**
+ * Respond with the right status for a metrics failure
+ */
+function sendMetricsError(res, error) {
+  if (error instanceof TrendQueryError) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
 /**
  * GET /api/metrics/safety
- * Get current safety metrics and scores
+ * Get current safety metrics and scores.
+ * With from, to or bucket (minute | hour | day), adds `trends`: incident
+ * and safety score series plus period-over-period comparison.
  */
-app.get('/api/metrics/safety', (req, res) => {
+app.get('/api/metrics/safety', auth.requirePermission('read'), (req, res) => {
   try {
-    const metrics = incidentManager.getSafetyMetrics();
+    const scope = { tenantId: req.tenantId };
+    const metrics = incidentManager.getSafetyMetrics(scope);
+    if (wantsTrends(req.query)) {
+      metrics.trends = incidentManager.getTrends(req.query, { ...scope, view: 'safety' });
+    }
     res.json(metrics);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendMetricsError(res, error);
   }
 });
 
 /**
  * GET /api/metrics/cost
- * Get cost analytics
+ * Get cost analytics.
+ * With from, to or bucket, adds `trends`: cost by user and model series,
+ * period-over-period comparison and a month-end spend forecast.
  */
-app.get('/api/metrics/cost', (req, res) => {
+app.get('/api/metrics/cost', auth.requirePermission('read'), (req, res) => {
   try {
-    const analytics = incidentManager.getCostAnalytics();
+    const scope = { tenantId: req.tenantId };
+    const analytics = incidentManager.getCostAnalytics(scope);
+    if (wantsTrends(req.query)) {
+      analytics.trends = incidentManager.getTrends(req.query, { ...scope, view: 'cost' });
+    }
     res.json(analytics);
+  } catch (error) {
+    sendMetricsError(res, error);
+  }
+});
+
+/**
+ * GET /api/metrics/latency
+ * Get latency series (count, avg, p50, p95) and period-over-period comparison.
+ * Query: from, to, bucket (default: last 24h by hour)
+ */
+app.get('/api/metrics/latency', auth.requirePermission('read'), (req, res) => {
+  try {
+    res.json(incidentManager.getTrends(req.query, { tenantId: req.tenantId, view: 'latency' }));
+  } catch (error) {
+    sendMetricsError(res, error);
+  }
+});
+
+/**
+ * GET /api/metrics/trends
+ * Get every trend series, the period-over-period comparison and the
+ * month-end spend forecast.
+ * Query: from, to, bucket (default: last 24h by hour)
+ */
+app.get('/api/metrics/trends', auth.requirePermission('read'), (req, res) => {
+  try {
+    res.json(incidentManager.getTrends(req.query, { tenantId: req.tenantId }));
+  } catch (error) {
+    sendMetricsError(res, error);
+  }
+});
+
+/**
+ * GET /api/budgets
+ * Get spend and remaining budget for each configured budget period
+ */
+app.get('/api/budgets', auth.requirePermission('read'), (req, res) => {
+  try {
+    res.json({ budgets: incidentManager.getBudgetStatus({ tenantId: req.tenantId }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing
+ * Get the model pricing catalog with all price versions
+ */
+app.get('/api/pricing', auth.requirePermission('read'), (req, res) => {
+  try {
+    res.json(pricing.getCatalog());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/pricing/recalculate
+ * Reload the pricing catalog and re-price stored requests.
+ * Body: from, to (optional ISO timestamps)
+ */
+app.post('/api/admin/pricing/recalculate', auth.requirePermission('admin'), (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be an ISO timestamp` });
+      }
+    }
+
+    pricing.loadCatalog();
+    const result = incidentManager.recalculateCosts({ from, to, tenantId: req.tenantId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/pii/detokenize
+ * Reverse PII tokens (PII_REDACTION_MODE=tokenize) issued for the caller's
+ * tenant. Tokens from other tenants are left in place.
+ * Body: text
+ */
+app.post('/api/admin/pii/detokenize', auth.requirePermission('admin'), (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string') {
+      return res.status(400).json({ error: 'text must be a string' });
+    }
+
+    const tenantId = req.tenantId || DEFAULT_TENANT;
+    const result = piiRedactor.detokenize(text, { tenantId });
+    console.log(`🔓 ${req.principal.id} detokenized ${result.detokenized} PII token(s) for tenant ${tenantId}`);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/metrics/correlation
+ * Get orphaned responses and requests that never got a response
+ */
+app.get('/api/metrics/correlation', auth.requirePermission('read'), (req, res) => {
+  try {
+    const report = incidentManager.getCorrelationReport({ tenantId: req.tenantId });
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/metrics/baselines
+ * Get rolling token, cost and latency baselines per tenant, model and user.
+ * Tenant-bound principals only see their own tenant.
+ */
+app.get('/api/metrics/baselines', auth.requirePermission('read'), (req, res) => {
+  try {
+    const { model, userId } = req.query;
+    res.json(incidentManager.getBaselines({ model, userId }, { tenantId: req.tenantId }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -136,14 +388,30 @@ app.get('/api/metrics/cost', (req, res) => {
 
 /**
  * GET /api/incidents
- * Get recent incidents
+ * Search incidents
+ *
+ * Query: severity, type, status, userId, model, tenantId (comma-separated lists),
+ * from, to, q (description text), limit (or count), cursor, order
  */
-app.get('/api/incidents', (req, res) => {
+app.get('/api/incidents', auth.requirePermission('read'), (req, res) => {
   try {
-    const count = req.query.count || 10;
-    const incidents = incidentManager.getRecentIncidents(parseInt(count));
-    res.json({ incidents, count: incidents.length });
+    const { limit, count, ...filters } = req.query;
+    const result = incidentManager.searchIncidents({
+      ...filters,
+      tenantId: req.tenantId || filters.tenantId,
+      limit: limit || count || 10,
+    });
+
+    res.json({
+      incidents: result.incidents,
+      count: result.incidents.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+    });
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -152,9 +420,9 @@ app.get('/api/incidents', (req, res) => {
  * GET /api/incidents/:id
  * Get specific incident details
  */
-app.get('/api/incidents/:id', (req, res) => {
+app.get('/api/incidents/:id', auth.requirePermission('read'), (req, res) => {
   try {
-    const incident = incidentManager.getIncidentDetails(req.params.id);
+    const incident = incidentManager.getIncidentDetails(req.params.id, { tenantId: req.tenantId });
     if (!incident) {
       return res.status(404).json({ error: 'Incident not found' });
     }
@@ -164,25 +432,240 @@ app.get('/api/incidents/:id', (req, res) => {
   }
 });
 
+/**
+ * Respond with the right status for an incident update failure
+ */
+function sendIncidentError(res, error) {
+  if (error instanceof IllegalTransitionError) {
+    return res.status(409).json({ error: error.message, from: error.from, to: error.to });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Respond with the updated incident, or 404 if it does not exist
+ */
+function sendIncident(res, incident) {
+  if (!incident) {
+    return res.status(404).json({ error: 'Incident not found' });
+  }
+  res.json({ success: true, incident });
+}
+
 /**
  * POST /api/incidents/:id/close
  * Close an incident with resolution
  */
-app.post('/api/incidents/:id/close', (req, res) => {
+app.post('/api/incidents/:id/close', auth.requirePermission('respond'), (req, res) => {
   try {
     const { resolution } = req.body;
-    const incident = incidentManager.closeIncident(req.params.id, resolution);
-    
+    const incident = incidentManager.closeIncident(req.params.id, resolution, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/acknowledge
+ * Acknowledge an incident
+ */
+app.post('/api/incidents/:id/acknowledge', auth.requirePermission('respond'), (req, res) => {
+  try {
+    const { note } = req.body;
+    const incident = incidentManager.acknowledgeIncident(req.params.id, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+      note,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/status
+ * Move an incident to investigating, mitigated, resolved, ...
+ */
+app.post('/api/incidents/:id/status', auth.requirePermission('respond'), (req, res) => {
+  try {
+    const { status, note, resolution } = req.body;
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const incident = incidentManager.updateIncidentStatus(req.params.id, status, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+      note,
+      resolution,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/reopen
+ * Reopen a resolved or closed incident
+ */
+app.post('/api/incidents/:id/reopen', auth.requirePermission('respond'), (req, res) => {
+  try {
+    const { note } = req.body;
+    const incident = incidentManager.reopenIncident(req.params.id, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+      note,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/assign
+ * Assign an incident to a responder
+ */
+app.post('/api/incidents/:id/assign', auth.requirePermission('respond'), (req, res) => {
+  try {
+    const { assignee } = req.body;
+
+    if (!assignee) {
+      return res.status(400).json({ error: 'Missing assignee' });
+    }
+
+    const incident = incidentManager.assignIncident(req.params.id, assignee, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/comments
+ * Add a comment to an incident
+ */
+app.post('/api/incidents/:id/comments', auth.requirePermission('respond'), (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: 'Missing text' });
+    }
+
+    const incident = incidentManager.addIncidentComment(req.params.id, text, {
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/escalate
+ * Raise an incident's severity (one level, or to the given severity) and re-alert
+ */
+app.post('/api/incidents/:id/escalate', auth.requirePermission('respond'), async (req, res) => {
+  try {
+    const { severity, note } = req.body;
+    const incident = await incidentManager.escalateIncident(req.params.id, {
+      severity,
+      actor: req.principal.id,
+      tenantId: req.tenantId,
+      note,
+    });
+    sendIncident(res, incident);
+  } catch (error) {
+    sendIncidentError(res, error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/timeline
+ * Get the timestamped history of an incident
+ */
+app.get('/api/incidents/:id/timeline', auth.requirePermission('read'), (req, res) => {
+  try {
+    const incident = incidentManager.getIncidentDetails(req.params.id, { tenantId: req.tenantId });
     if (!incident) {
       return res.status(404).json({ error: 'Incident not found' });
     }
-    
-    res.json({ success: true, incident });
+    res.json({ incidentId: incident.id, status: incident.status, timeline: incident.timeline || [] });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// Real-time Event Stream
+// ============================================
+
+/**
+ * Safety and cost snapshot for one tenant, or all tenants when null
+ */
+function metricsSnapshot(tenantId) {
+  return {
+    safety: incidentManager.getSafetyMetrics({ tenantId }),
+    cost: incidentManager.getCostAnalytics({ tenantId }),
+  };
+}
+
+/**
+ * GET /api/stream
+ * Server-Sent Events feed of incident.created, incident.updated, anomaly
+ * and metrics.snapshot events.
+ *
+ * Query: events, severity, type, model (comma-separated filters).
+ * Resume with the Last-Event-ID header (sent by EventSource on reconnect)
+ * or the lastEventId query parameter.
+ * EventSource cannot set headers, so credentials may also be passed as
+ * the access_token query parameter.
+ */
+app.get('/api/stream', auth.requirePermission('read', { allowQueryToken: true }), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const { events, severity, type, model } = req.query;
+  const { tenantId } = req;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  // Snapshots are published platform-wide; tenant subscribers get their own
+  const scopeEvent = event => (tenantId && event.type === 'metrics.snapshot'
+    ? { ...event, data: metricsSnapshot(tenantId) }
+    : event);
+
+  const unsubscribe = eventStream.subscribe(
+    { events, severity, type, model, tenantId },
+    event => res.write(eventStream.toSSE(scopeEvent(event))),
+    lastEventId
+  );
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // ============================================
 // Voice & Natural Language Endpoints
 // ============================================
@@ -191,7 +674,7 @@ app.post('/api/incidents/:id/close', (req, res) => {
  * POST /api/voice/query
  * Query using natural language via Gemini
  */
-app.post('/api/voice/query', async (req, res) => {
+app.post('/api/voice/query', auth.requirePermission('respond'), async (req, res) => {
   try {
     const { query } = req.body;
 
@@ -199,10 +682,11 @@ app.post('/api/voice/query', async (req, res) => {
       return res.status(400).json({ error: 'Missing query parameter' });
     }
 
-    // Get relevant data for context
-    const metrics = incidentManager.getSafetyMetrics();
-    const incidents = incidentManager.getRecentIncidents(5);
-    const costAnalytics = incidentManager.getCostAnalytics();
+    // Get relevant data for context, limited to the caller's tenant
+    const scope = { tenantId: req.tenantId };
+    const metrics = incidentManager.getSafetyMetrics(scope);
+    const incidents = incidentManager.getRecentIncidents(5, scope);
+    const costAnalytics = incidentManager.getCostAnalytics(scope);
 
     const context = {
       metrics,
@@ -227,7 +711,7 @@ app.post('/api/voice/query', async (req, res) => {
  * POST /api/voice/speak
  * Convert response to speech using ElevenLabs
  */
-app.post('/api/voice/speak', async (req, res) => {
+app.post('/api/voice/speak', auth.requirePermission('respond'), async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -250,7 +734,7 @@ app.post('/api/voice/speak', async (req, res) => {
  * GET /api/voice/usage
  * Check voice synthesis API usage
  */
-app.get('/api/voice/usage', async (req, res) => {
+app.get('/api/voice/usage', auth.requirePermission('admin'), async (req, res) => {
   try {
     const usage = await voiceSynthesis.checkUsage();
     res.json(usage);
@@ -267,9 +751,9 @@ app.get('/api/voice/usage', async (req, res) => {
  * POST /api/analysis/summarize
  * Summarize recent incidents
  */
-app.post('/api/analysis/summarize', async (req, res) => {
+app.post('/api/analysis/summarize', auth.requirePermission('respond'), async (req, res) => {
   try {
-    const incidents = incidentManager.getRecentIncidents(10);
+    const incidents = incidentManager.getRecentIncidents(10, { tenantId: req.tenantId });
     const summary = await geminiHandler.summarizeIncidents(incidents);
 
     res.json({
@@ -287,18 +771,19 @@ app.post('/api/analysis/summarize', async (req, res) => {
  * POST /api/analysis/root-cause
  * Analyze root cause of an incident
  */
-app.post('/api/analysis/root-cause', async (req, res) => {
+app.post('/api/analysis/root-cause', auth.requirePermission('respond'), async (req, res) => {
   try {
     const { incidentId } = req.body;
 
-    const incident = incidentManager.getIncidentDetails(incidentId);
+    const scope = { tenantId: req.tenantId };
+    const incident = incidentManager.getIncidentDetails(incidentId, scope);
     if (!incident) {
       return res.status(404).json({ error: 'Incident not found' });
     }
 
     // Get related metrics for context
-    const metrics = incidentManager.getSafetyMetrics();
-    const costAnalytics = incidentManager.getCostAnalytics();
+    const metrics = incidentManager.getSafetyMetrics(scope);
+    const costAnalytics = incidentManager.getCostAnalytics(scope);
 
     const analysis = await geminiHandler.analyzeRootCause(incident, {
       metrics,
@@ -334,9 +819,26 @@ app.use((err, req, res, next) => {
 
 async function startServer() {
   try {
+    auth.logAuthMode();
+
+    // Fail at startup rather than on every request
+    const redactionMode = piiRedactor.getRedactionMode();
+    console.log(`🔏 PII redaction: ${redactionMode || 'off'}`);
+
     // Initialize Kafka producer
     await kafkaProducer.initialize();
 
+    if (CONSUMER_IN_PROCESS) {
+      inProcessConsumer = require('../datadog-integration/consumer');
+      await inProcessConsumer.initialize();
+      await inProcessConsumer.startConsuming();
+    } else if (kafkaProducer.transport.name === 'memory') {
+      console.warn('⚠️  KAFKA_TRANSPORT=memory without CONSUMER_IN_PROCESS=true: published events stay in this process');
+    }
+
+    // Push periodic safety and cost snapshots to stream subscribers
+    eventStream.startMetricsSnapshots(() => metricsSnapshot(null), METRICS_STREAM_INTERVAL_MS);
+
     app.listen(PORT, () => {
       console.log(`✅ AI Safety Command Center running on port ${PORT}`);
       console.log(`📊 Dashboard: http://localhost:${PORT}`);
@@ -352,8 +854,11 @@ async function startServer() {
 process.on('SIGINT', async () => {
   console.log('\n⏹️  Shutting down gracefully...');
   try {
+    if (inProcessConsumer) await inProcessConsumer.disconnect();
     await kafkaProducer.disconnect();
     console.log('✅ Kafka disconnected');
+    incidentManager.shutdown();
+    console.log('✅ Store flushed');
     process.exit(0);
   } catch (error) {
     console.error('Error during shutdown:', error.message);
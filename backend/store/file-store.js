@@ -0,0 +1,98 @@
+/**
+ * File-backed store
+ * Keeps the working set in memory and persists it as a single JSON document,
+ * written atomically after changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { migrate } = require('./migrations');
+
+/**
+ * Load and migrate the persisted document, if any
+ */
+function loadDocument(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return migrate({});
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return migrate(raw.trim() ? JSON.parse(raw) : {});
+}
+
+/**
+ * Create a store persisted to `filePath`
+ */
+function createFileStore({ filePath, flushIntervalMs = 1000 }) {
+  if (!filePath) {
+    throw new Error('File store requires a filePath');
+  }
+
+  const document = loadDocument(filePath);
+  const memory = createMemoryStore(document.collections);
+  let flushTimer = null;
+
+  /**
+   * Write the current state to disk (temp file + rename)
+   */
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      schemaVersion: document.schemaVersion,
+      savedAt: new Date().toISOString(),
+      collections: memory.snapshot(),
+    }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+
+    flushTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        console.error('❌ Failed to persist store:', error.message);
+      }
+    }, flushIntervalMs);
+    flushTimer.unref();
+  }
+
+  // Persist the migrated document straight away
+  flush();
+
+  return {
+    ...memory,
+    driver: 'file',
+    insert(name, record) {
+      const result = memory.insert(name, record);
+      scheduleFlush();
+      return result;
+    },
+    update(name, key, patch) {
+      const result = memory.update(name, key, patch);
+      if (result) scheduleFlush();
+      return result;
+    },
+    remove(name, predicate) {
+      const removed = memory.remove(name, predicate);
+      if (removed > 0) scheduleFlush();
+      return removed;
+    },
+    flush,
+    close() {
+      flush();
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
@@ -0,0 +1,86 @@
+/**
+ * Storage backend for incident-manager
+ * Selects a store driver from configuration and applies the retention policy.
+ *
+ * Environment:
+ *   STORE_DRIVER          memory | file (default: file)
+ *   STORE_PATH            JSON file used by the file driver
+ *   STORE_RETENTION_DAYS  Days of history to keep (default: 30, 0 = forever)
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { isActive } = require('../incident-lifecycle');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'command-center.json');
+const RETENTION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Drop records older than the retention period.
+ * Incidents are only dropped once they are resolved or closed.
+ */
+function applyRetention(store, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return 0;
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const isExpired = record => new Date(record.timestamp).getTime() < cutoff;
+
+  const removed =
+    store.remove('requests', isExpired) +
+    store.remove('responses', isExpired) +
+    store.remove('incidents', i => !isActive(i) && isExpired(i));
+
+  if (removed > 0) {
+    console.log(`🧹 Retention removed ${removed} records older than ${retentionDays}d`);
+  }
+  return removed;
+}
+
+/**
+ * Create the configured store
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORE_DRIVER || 'file';
+  const retentionDays = options.retentionDays !== undefined
+    ? options.retentionDays
+    : parseFloat(process.env.STORE_RETENTION_DAYS || '30');
+
+  let store;
+  switch (driver) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'file':
+      store = createFileStore({
+        filePath: options.filePath || process.env.STORE_PATH || DEFAULT_STORE_PATH,
+      });
+      break;
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+
+  applyRetention(store, retentionDays);
+
+  const sweepTimer = setInterval(() => {
+    try {
+      applyRetention(store, retentionDays);
+    } catch (error) {
+      console.error('❌ Retention sweep failed:', error.message);
+    }
+  }, RETENTION_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    ...store,
+    close() {
+      clearInterval(sweepTimer);
+      store.close();
+    },
+  };
+}
+
+module.exports = {
+  createStore,
+  applyRetention,
+};
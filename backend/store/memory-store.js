@@ -0,0 +1,126 @@
+/**
+ * In-memory store
+ * Keeps every collection in process memory. Used for tests and as the
+ * working set of the file-backed store.
+ */
+
+// Collection name -> primary key field
+const COLLECTIONS = {
+  requests: 'requestId',
+  responses: 'requestId',
+  incidents: 'id',
+};
+
+/**
+ * Create an in-memory store, optionally seeded with existing records
+ */
+function createMemoryStore(seed = {}) {
+  const collections = {};
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    collections[name] = new Map();
+    for (const record of seed[name] || []) {
+      collections[name].set(record[COLLECTIONS[name]], record);
+    }
+  }
+
+  function getCollection(name) {
+    const collection = collections[name];
+    if (!collection) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return collection;
+  }
+
+  /**
+   * Insert a record, replacing any record with the same key
+   */
+  function insert(name, record) {
+    getCollection(name).set(record[COLLECTIONS[name]], record);
+    return record;
+  }
+
+  /**
+   * Merge a patch into an existing record
+   */
+  function update(name, key, patch) {
+    const collection = getCollection(name);
+    const existing = collection.get(key);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...patch };
+    collection.set(key, updated);
+    return updated;
+  }
+
+  /**
+   * Get a record by primary key
+   */
+  function get(name, key) {
+    return getCollection(name).get(key) || null;
+  }
+
+  /**
+   * Find records matching a predicate, in insertion order.
+   * Returned records must be treated as read-only; use update() to change them.
+   */
+  function find(name, predicate = () => true) {
+    const results = [];
+    for (const record of getCollection(name).values()) {
+      if (predicate(record)) results.push(record);
+    }
+    return results;
+  }
+
+  /**
+   * Count records matching a predicate
+   */
+  function count(name, predicate) {
+    if (!predicate) return getCollection(name).size;
+    return find(name, predicate).length;
+  }
+
+  /**
+   * Remove records matching a predicate, returns the number removed
+   */
+  function remove(name, predicate) {
+    const collection = getCollection(name);
+    let removed = 0;
+    for (const [key, record] of collection) {
+      if (predicate(record)) {
+        collection.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Export all collections as plain arrays
+   */
+  function snapshot() {
+    const data = {};
+    for (const name of Object.keys(collections)) {
+      data[name] = [...collections[name].values()];
+    }
+    return data;
+  }
+
+  return {
+    driver: 'memory',
+    insert,
+    update,
+    get,
+    find,
+    count,
+    remove,
+    snapshot,
+    flush() {},
+    close() {},
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  COLLECTIONS,
+};
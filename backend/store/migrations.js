@@ -0,0 +1,139 @@
+/**
+ * Store schema migrations
+ * Each migration upgrades the persisted data by one version. Append new
+ * migrations to the end of the list; never edit one that has shipped.
+ */
+
+const { groupKey } = require('../incident-correlator');
+const { DEFAULT_TENANT } = require('../tenancy');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial requests, responses and incidents collections',
+    up(data) {
+      return {
+        requests: data.requests || [],
+        responses: data.responses || [],
+        incidents: data.incidents || [],
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Incident lifecycle: timeline, comments and assignee',
+    up(data) {
+      return {
+        ...data,
+        incidents: data.incidents.map(incident => {
+          const timeline = [{ at: incident.timestamp, action: 'created', actor: 'system' }];
+          if (incident.closedAt) {
+            timeline.push({
+              at: incident.closedAt,
+              action: 'status_changed',
+              actor: 'system',
+              from: 'open',
+              to: 'closed',
+              note: incident.resolution,
+            });
+          }
+
+          return {
+            assignee: null,
+            comments: [],
+            ...incident,
+            timeline: incident.timeline || timeline,
+          };
+        }),
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Incident grouping: group key, occurrence count and linked requests',
+    up(data) {
+      return {
+        ...data,
+        incidents: data.incidents.map(incident => ({
+          groupKey: groupKey(incident),
+          occurrenceCount: 1,
+          firstSeenAt: incident.timestamp,
+          lastSeenAt: incident.timestamp,
+          requestIds: incident.requestId ? [incident.requestId] : [],
+          ...incident,
+        })),
+      };
+    },
+  },
+  {
+    version: 4,
+    description: 'Multi-tenancy: tenantId on every record, tenant-scoped group keys',
+    up(data) {
+      const withTenant = record => ({ ...record, tenantId: record.tenantId || DEFAULT_TENANT });
+
+      return {
+        ...data,
+        requests: data.requests.map(withTenant),
+        responses: data.responses.map(withTenant),
+        incidents: data.incidents.map(incident => {
+          const migrated = withTenant(incident);
+          return { ...migrated, groupKey: groupKey(migrated) };
+        }),
+      };
+    },
+  },
+  {
+    version: 5,
+    description: 'Blocked requests: flag requests the pre-flight guard blocked',
+    up(data) {
+      return {
+        ...data,
+        requests: data.requests.map(request => ({
+          ...request,
+          blocked: Boolean(request.preflight && request.preflight.verdict === 'block'),
+        })),
+      };
+    },
+  },
+  {
+    version: 6,
+    description: 'Blocked requests cost nothing: they never reached the model',
+    up(data) {
+      return {
+        ...data,
+        requests: data.requests.map(request => (request.blocked ? { ...request, cost: 0 } : request)),
+      };
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring persisted data up to the latest schema version
+ */
+function migrate(document) {
+  const fromVersion = document.schemaVersion || 0;
+
+  if (fromVersion > LATEST_VERSION) {
+    throw new Error(
+      `Store schema version ${fromVersion} is newer than supported version ${LATEST_VERSION}`
+    );
+  }
+
+  let data = document.collections || {};
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      data = migration.up(data);
+      console.log(`🗄️  Applied store migration ${migration.version}: ${migration.description}`);
+    }
+  }
+
+  return { schemaVersion: LATEST_VERSION, collections: data };
+}
+
+module.exports = {
+  migrate,
+  MIGRATIONS,
+  LATEST_VERSION,
+};
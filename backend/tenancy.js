@@ -0,0 +1,29 @@
+/**
+ * Tenancy
+ * Every request, response and incident belongs to one tenant (a product
+ * team or project). Records written before multi-tenancy, and traffic from
+ * principals without a tenant, belong to the default tenant.
+ */
+
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Tenant a record belongs to
+ */
+function tenantOf(record) {
+  return (record && record.tenantId) || DEFAULT_TENANT;
+}
+
+/**
+ * Predicate for records visible in a tenant scope.
+ * A null scope (platform-wide principals) sees every tenant.
+ */
+function inTenant(tenantId) {
+  return record => !tenantId || tenantOf(record) === tenantId;
+}
+
+module.exports = {
+  tenantOf,
+  inTenant,
+  DEFAULT_TENANT,
+};
@@ -0,0 +1,240 @@
+/**
+ * API keys, JWTs, role permissions and tenant binding
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auth = require('../auth');
+
+const AUTH_ENV = ['AUTH_MODE', 'API_KEYS', 'API_KEYS_FILE', 'JWT_SECRET', 'JWT_ISSUER', 'JWT_AUDIENCE'];
+const SECRET = 'test-secret';
+
+/**
+ * Minimal Express request with case-insensitive headers
+ */
+function request(headers = {}, query = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()], query };
+}
+
+/**
+ * Minimal Express response recording status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+/**
+ * Sign an HS256 JWT
+ */
+function sign(claims, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) {
+  const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const body = `${encode(header)}.${encode(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+/**
+ * Run requirePermission and report the status, principal and tenant
+ */
+function check(permission, headers) {
+  const req = request(headers);
+  const res = response();
+  let passed = false;
+  auth.requirePermission(permission)(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, principal: req.principal, tenantId: req.tenantId };
+}
+
+/**
+ * Configure API keys and reload them as startup does
+ */
+function useApiKeys(value) {
+  process.env.API_KEYS = value;
+  auth.logAuthMode();
+}
+
+describe('auth', () => {
+  let tmpDir;
+
+  beforeEach(t => {
+    for (const name of AUTH_ENV) delete process.env[name];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    for (const name of AUTH_ENV) delete process.env[name];
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    auth.logAuthMode();
+  });
+
+  function writeKeysFile(entries) {
+    const file = path.join(tmpDir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify(entries));
+    process.env.API_KEYS_FILE = file;
+    return file;
+  }
+
+  describe('API keys', () => {
+    it('authenticates keys with their role, principal and tenant', () => {
+      useApiKeys('k1:viewer:dash, k2:ingest:gateway:team-a');
+
+      assert.deepEqual(auth.authenticate(request({ 'X-API-Key': 'k1' })), {
+        id: 'dash', role: 'viewer', tenant: null, via: 'api-key',
+      });
+      assert.equal(auth.authenticate(request({ Authorization: 'Bearer k2' })).tenant, 'team-a');
+      assert.equal(auth.authenticate(request({ 'X-API-Key': 'nope' })), null);
+    });
+
+    it('keeps keys that contain colons', () => {
+      useApiKeys('abc:def:ghi:admin:ops:team-b');
+
+      const principal = auth.authenticate(request({ 'X-API-Key': 'abc:def:ghi' }));
+      assert.equal(principal.role, 'admin');
+      assert.equal(principal.tenant, 'team-b');
+    });
+
+    it('names an entry without a key or with an unknown role', () => {
+      assert.throws(() => useApiKeys('k1:viewer:dash,:admin:ops'), /API_KEYS entry 2 \(ops\) has no key/);
+      assert.throws(() => useApiKeys('k1:superuser:dash'), /API_KEYS entry 1 \(dash\) has unknown role: superuser/);
+    });
+
+    it('loads keys from API_KEYS_FILE', () => {
+      writeKeysFile([{ key: 'file-key', role: 'responder', principal: 'oncall', tenant: 'team-a' }]);
+      auth.logAuthMode();
+
+      assert.deepEqual(auth.authenticate(request({ 'X-API-Key': 'file-key' })), {
+        id: 'oncall', role: 'responder', tenant: 'team-a', via: 'api-key',
+      });
+    });
+
+    it('names a file entry that is missing its key instead of crashing', () => {
+      const file = writeKeysFile([{ key: 'ok', role: 'viewer' }, { role: 'admin', principal: 'ops' }]);
+      assert.throws(() => auth.logAuthMode(), new RegExp(`${file} entry 2 \\(ops\\) has no key`));
+    });
+
+    it('rejects files that are not arrays of objects', () => {
+      const file = writeKeysFile({ key: 'k', role: 'admin' });
+      assert.throws(() => auth.logAuthMode(), /must contain a JSON array of API keys/);
+
+      writeKeysFile([null]);
+      assert.throws(() => auth.logAuthMode(), new RegExp(`${file} entry 1 must be an object`));
+
+      writeKeysFile([{ key: 'k', role: 'admin', tenant: 7 }]);
+      assert.throws(() => auth.logAuthMode(), /entry 1 has a non-string tenant/);
+    });
+  });
+
+  describe('JWT', () => {
+    beforeEach(() => {
+      process.env.JWT_SECRET = SECRET;
+    });
+
+    function authenticateToken(token) {
+      return auth.authenticate(request({ Authorization: `Bearer ${token}` }));
+    }
+
+    it('accepts a signed token with a role and tenant claim', () => {
+      assert.deepEqual(authenticateToken(sign({ sub: 'alice', role: 'viewer', tenant: 'team-a' })), {
+        id: 'alice', role: 'viewer', tenant: 'team-a', via: 'jwt',
+      });
+    });
+
+    it('rejects a bad signature, another algorithm and an unknown role', () => {
+      assert.equal(authenticateToken(sign({ role: 'admin' }, { secret: 'other' })), null);
+      assert.equal(authenticateToken(sign({ role: 'admin' }, { header: { alg: 'none' } })), null);
+      assert.equal(authenticateToken(sign({ role: 'root' })), null);
+    });
+
+    it('rejects expired and not-yet-valid tokens', () => {
+      const now = Math.floor(Date.now() / 1000);
+      assert.equal(authenticateToken(sign({ role: 'viewer', exp: now - 1 })), null);
+      assert.equal(authenticateToken(sign({ role: 'viewer', nbf: now + 60 })), null);
+      assert.equal(authenticateToken(sign({ role: 'viewer', exp: now + 60 })).role, 'viewer');
+    });
+
+    it('returns null for a payload that is not an object', () => {
+      assert.equal(authenticateToken(sign(null)), null);
+      assert.equal(authenticateToken(sign([1])), null);
+    });
+
+    it('checks the issuer and audience when configured', () => {
+      process.env.JWT_ISSUER = 'idp';
+      process.env.JWT_AUDIENCE = 'monitor';
+
+      assert.equal(authenticateToken(sign({ role: 'viewer', iss: 'idp', aud: ['monitor', 'x'] })).role, 'viewer');
+      assert.equal(authenticateToken(sign({ role: 'viewer', iss: 'other', aud: 'monitor' })), null);
+      assert.equal(authenticateToken(sign({ role: 'viewer', iss: 'idp', aud: 'other' })), null);
+    });
+
+    it('ignores tokens when no secret is configured', () => {
+      delete process.env.JWT_SECRET;
+      assert.equal(authenticateToken(sign({ role: 'admin' })), null);
+    });
+  });
+
+  describe('requirePermission', () => {
+    beforeEach(() => {
+      useApiKeys('ingest-key:ingest:gateway,viewer-key:viewer:dash,bound-key:responder:oncall:team-a');
+    });
+
+    it('responds 401 without credentials', () => {
+      const result = check('read', {});
+      assert.equal(result.passed, false);
+      assert.equal(result.status, 401);
+    });
+
+    it('responds 403 when the role lacks the permission', () => {
+      const result = check('read', { 'X-API-Key': 'ingest-key' });
+      assert.equal(result.status, 403);
+      assert.equal(result.body.error, 'Role ingest cannot read');
+      assert.equal(check('respond', { 'X-API-Key': 'viewer-key' }).status, 403);
+    });
+
+    it('lets unbound principals pick a tenant with X-Tenant-Id', () => {
+      assert.equal(check('read', { 'X-API-Key': 'viewer-key' }).tenantId, null);
+      assert.equal(check('read', { 'X-API-Key': 'viewer-key', 'X-Tenant-Id': 'team-b' }).tenantId, 'team-b');
+    });
+
+    it('keeps tenant-bound principals in their tenant', () => {
+      const own = check('respond', { 'X-API-Key': 'bound-key' });
+      assert.equal(own.passed, true);
+      assert.equal(own.tenantId, 'team-a');
+      assert.equal(own.principal.id, 'oncall');
+
+      const other = check('read', { 'X-API-Key': 'bound-key', 'X-Tenant-Id': 'team-b' });
+      assert.equal(other.passed, false);
+      assert.equal(other.status, 403);
+    });
+
+    it('binds JWT principals to their tenant claim', () => {
+      process.env.JWT_SECRET = SECRET;
+      const token = sign({ sub: 'bob', role: 'viewer', tenant: 'team-b' });
+
+      assert.equal(check('read', { Authorization: `Bearer ${token}` }).tenantId, 'team-b');
+      assert.equal(check('read', { Authorization: `Bearer ${token}`, 'X-Tenant-Id': 'team-a' }).status, 403);
+    });
+
+    it('treats every request as admin when AUTH_MODE=off', () => {
+      process.env.AUTH_MODE = 'off';
+      const result = check('admin', {});
+      assert.equal(result.passed, true);
+      assert.equal(result.principal.via, 'auth-disabled');
+    });
+  });
+
+  it('maps roles to permissions', () => {
+    assert.equal(auth.hasPermission('admin', 'admin'), true);
+    assert.equal(auth.hasPermission('responder', 'ingest'), false);
+    assert.equal(auth.hasPermission('unknown', 'read'), false);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Budget validation, hard stops and threshold alerts
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const kafkaProducer = require('../../kafka-integration/producer');
+const budgetManager = require('../budget-manager');
+const { createMemoryStore } = require('../store/memory-store');
+
+const BUDGETS = {
+  version: 1,
+  alertAt: [0.5, 1],
+  tenants: { 'team-a': { daily: 10 } },
+  users: { alice: { daily: 1, hardStop: true } },
+};
+
+describe('validateBudgets', () => {
+  it('accepts a valid budgets file', () => {
+    assert.deepEqual(budgetManager.validateBudgets(BUDGETS), []);
+  });
+
+  it('reports null and malformed entries instead of throwing', () => {
+    assert.deepEqual(budgetManager.validateBudgets({
+      version: 1,
+      alertAt: [1],
+      users: { alice: null, bob: { daily: -1, hardStop: 'yes' } },
+      models: [],
+    }), [
+      'users.alice must be an object',
+      'users.bob.hardStop must be a boolean',
+      'users.bob.daily must be a non-negative number',
+      'models must be an object',
+    ]);
+  });
+
+  it('rejects a missing version and bad thresholds', () => {
+    assert.deepEqual(budgetManager.validateBudgets({ alertAt: [0] }), [
+      'version must be 1',
+      'alertAt must be a list of positive fractions',
+    ]);
+  });
+});
+
+describe('budget enforcement', () => {
+  let tmpDir;
+  let store;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+    const filePath = path.join(tmpDir, 'budgets.json');
+    fs.writeFileSync(filePath, JSON.stringify(BUDGETS));
+    const log = mock.method(console, 'log', () => {});
+    budgetManager.loadBudgets(filePath);
+    log.mock.restore();
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(t => {
+    store = createMemoryStore();
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  });
+
+  function spend(requestId, fields) {
+    return store.insert('requests', { requestId, timestamp: new Date().toISOString(), ...fields });
+  }
+
+  it('rejects requests over a hard-stop budget', () => {
+    spend('r1', { userId: 'alice', tenantId: 'team-a', cost: 0.9 });
+
+    assert.throws(
+      () => budgetManager.checkRequest(store, { userId: 'alice', tenantId: 'team-a', cost: 0.2 }),
+      error => error instanceof budgetManager.BudgetExceededError && Math.abs(error.exceeded[0].remaining - 0.1) < 1e-9,
+    );
+  });
+
+  it('counts user spend only within the request tenant', () => {
+    spend('r1', { userId: 'alice', tenantId: 'team-a', cost: 0.9 });
+
+    assert.doesNotThrow(() => budgetManager.checkRequest(store, { userId: 'alice', tenantId: 'team-b', cost: 0.5 }));
+  });
+
+  it('alerts once for the highest threshold crossed', async t => {
+    const publishAlert = t.mock.method(kafkaProducer, 'publishAlert', async () => {});
+    const request = spend('r1', { userId: 'bob', tenantId: 'team-a', cost: 6 });
+
+    const crossings = await budgetManager.recordSpend(store, request);
+
+    assert.deepEqual(crossings.map(c => [c.scope, c.threshold]), [['tenants', 0.5]]);
+    assert.equal(publishAlert.mock.callCount(), 1);
+    assert.equal(publishAlert.mock.calls[0].arguments[0].alertType, 'BUDGET_THRESHOLD');
+  });
+
+  it('does not fail when the alert cannot be published', async t => {
+    t.mock.method(kafkaProducer, 'publishAlert', async () => {
+      throw new Error('broker down');
+    });
+    const request = spend('r1', { userId: 'bob', tenantId: 'team-a', cost: 6 });
+
+    assert.deepEqual(await budgetManager.recordSpend(store, request), []);
+  });
+
+  it('reports user budgets within the caller tenant', () => {
+    spend('r1', { userId: 'alice', tenantId: 'team-a', cost: 0.25 });
+
+    const statuses = budgetManager.getBudgetStatus(store, { tenantId: 'team-a' });
+    const alice = statuses.find(status => status.scope === 'users');
+    assert.equal(alice.tenantId, 'team-a');
+    assert.equal(alice.spent, 0.25);
+    assert.equal(alice.percentUsed, 25);
+  });
+});
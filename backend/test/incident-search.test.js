@@ -0,0 +1,117 @@
+/**
+ * Incident search filters, ordering and cursor pagination
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { searchIncidents, SearchQueryError, MAX_LIMIT } = require('../incident-search');
+
+const INCIDENTS = [
+  { id: 'i1', timestamp: '2026-03-01T10:00:00.000Z', severity: 'high', type: 'PII_LEAKAGE', status: 'open', userId: 'alice', model: 'a', description: 'SSN in response' },
+  { id: 'i2', timestamp: '2026-03-01T11:00:00.000Z', severity: 'low', type: 'TOKEN_ANOMALY', status: 'resolved', userId: 'bob', model: 'b', description: 'Token spike', tenantId: 'team-a' },
+  { id: 'i3', timestamp: '2026-03-01T11:00:00.000Z', severity: 'critical', type: 'PROMPT_INJECTION', status: 'open', userId: 'alice', model: 'b', description: 'Prompt injection attempt', tenantId: 'team-a' },
+  { id: 'i4', timestamp: '2026-03-01T12:00:00.000Z', severity: 'high', type: 'PII_LEAKAGE', status: 'acknowledged', userId: 'carol', model: 'a', description: 'Email address leaked' },
+];
+
+function ids(result) {
+  return result.incidents.map(incident => incident.id);
+}
+
+describe('searchIncidents', () => {
+  it('returns every incident newest first by default, ties broken by id', () => {
+    const result = searchIncidents(INCIDENTS);
+
+    assert.deepEqual(ids(result), ['i4', 'i3', 'i2', 'i1']);
+    assert.equal(result.total, 4);
+    assert.equal(result.nextCursor, null);
+  });
+
+  it('sorts oldest first with order=asc without reordering the input', () => {
+    const input = [...INCIDENTS].reverse();
+    assert.deepEqual(ids(searchIncidents(input, { order: 'asc' })), ['i1', 'i2', 'i3', 'i4']);
+    assert.deepEqual(input.map(incident => incident.id), ['i4', 'i3', 'i2', 'i1']);
+  });
+
+  describe('filters', () => {
+    it('matches any of several values given as a list or comma-separated', () => {
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { severity: 'high,critical' })), ['i4', 'i3', 'i1']);
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { severity: ['low', ' critical '] })), ['i3', 'i2']);
+    });
+
+    it('combines filters on type, status, user and model', () => {
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { type: 'PII_LEAKAGE', status: 'open' })), ['i1']);
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { userId: 'alice', model: 'b' })), ['i3']);
+    });
+
+    it('treats incidents without a tenant as the default tenant', () => {
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { tenantId: 'team-a' })), ['i3', 'i2']);
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { tenantId: 'default' })), ['i4', 'i1']);
+    });
+
+    it('filters on an inclusive time range given as ISO or epoch milliseconds', () => {
+      const result = searchIncidents(INCIDENTS, {
+        from: '2026-03-01T11:00:00Z',
+        to: String(Date.parse('2026-03-01T11:00:00Z')),
+      });
+      assert.deepEqual(ids(result), ['i3', 'i2']);
+    });
+
+    it('searches descriptions case-insensitively', () => {
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { q: 'ssn' })), ['i1']);
+      assert.deepEqual(ids(searchIncidents(INCIDENTS, { q: 'nothing like this' })), []);
+    });
+
+    it('ignores empty filter values', () => {
+      assert.equal(searchIncidents(INCIDENTS, { severity: '', from: '', q: '' }).total, 4);
+    });
+  });
+
+  describe('paging', () => {
+    it('walks every page with nextCursor, including timestamp ties', () => {
+      for (const order of ['desc', 'asc']) {
+        const seen = [];
+        let cursor;
+        do {
+          const page = searchIncidents(INCIDENTS, { limit: 1, order, cursor });
+          assert.equal(page.total, 4);
+          seen.push(...ids(page));
+          cursor = page.nextCursor;
+        } while (cursor);
+
+        const expected = order === 'desc' ? ['i4', 'i3', 'i2', 'i1'] : ['i1', 'i2', 'i3', 'i4'];
+        assert.deepEqual(seen, expected);
+      }
+    });
+
+    it('continues after the cursor position when that incident is gone', () => {
+      const { nextCursor } = searchIncidents(INCIDENTS, { limit: 2 });
+      const remaining = INCIDENTS.filter(incident => incident.id !== 'i3');
+
+      assert.deepEqual(ids(searchIncidents(remaining, { cursor: nextCursor })), ['i2', 'i1']);
+    });
+
+    it('caps the page size', () => {
+      const many = Array.from({ length: MAX_LIMIT + 5 }, (_, i) => ({
+        id: `n${String(i).padStart(3, '0')}`,
+        timestamp: new Date(Date.UTC(2026, 0, 1) + i * 1000).toISOString(),
+      }));
+      const result = searchIncidents(many, { limit: String(MAX_LIMIT * 2) });
+
+      assert.equal(result.incidents.length, MAX_LIMIT);
+      assert.ok(result.nextCursor);
+    });
+  });
+
+  it('rejects malformed parameters with SearchQueryError', () => {
+    for (const filters of [
+      { order: 'newest' },
+      { limit: '0' },
+      { limit: 'ten' },
+      { from: 'last week' },
+      { cursor: 'not-a-cursor' },
+      { cursor: Buffer.from(JSON.stringify({ t: '2026-03-01' })).toString('base64url') },
+    ]) {
+      assert.throws(() => searchIncidents(INCIDENTS, filters), SearchQueryError, JSON.stringify(filters));
+    }
+  });
+});
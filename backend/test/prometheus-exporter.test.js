@@ -0,0 +1,119 @@
+/**
+ * Prometheus exporter: text format, histograms, labels and tenant scoping
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const exporter = require('../prometheus-exporter');
+
+/**
+ * Sample lines of a metric in a tenant's scrape
+ */
+function samples(tenantId, name) {
+  return exporter.render({ tenantId })
+    .split('\n')
+    .filter(line => line.startsWith(`llm_monitoring_${name}`));
+}
+
+describe('prometheus exporter', () => {
+  it('declares HELP and TYPE for every metric and ends with a newline', () => {
+    const output = exporter.render();
+
+    assert.ok(output.endsWith('\n'));
+    assert.match(output, /^# HELP llm_monitoring_request_count_total LLM requests received\n# TYPE llm_monitoring_request_count_total counter$/m);
+    assert.match(output, /^# TYPE llm_monitoring_response_latency_ms histogram$/m);
+    assert.match(output, /^# TYPE llm_monitoring_open_incidents gauge$/m);
+  });
+
+  it('counts requests per label set and adds up their cost', () => {
+    for (const cost of [0.25, 0.5]) {
+      exporter.recordRequest({ tenantId: 'count', userId: 'alice', model: 'gpt-4', cost });
+    }
+    exporter.recordRequest({ tenantId: 'count', model: 'gpt-4' });
+
+    assert.deepEqual(samples('count', 'request_count_total'), [
+      'llm_monitoring_request_count_total{tenant="count",user_id="alice",model="gpt-4"} 2',
+      'llm_monitoring_request_count_total{tenant="count",user_id="unknown",model="gpt-4"} 1',
+    ]);
+    assert.deepEqual(samples('count', 'request_cost_dollars_total'), [
+      'llm_monitoring_request_cost_dollars_total{tenant="count",model="gpt-4"} 0.75',
+    ]);
+  });
+
+  it('adds re-priced differences to cost and ignores non-positive amounts', () => {
+    const request = { tenantId: 'reprice', model: 'gpt-4' };
+    exporter.recordCost(request, 1);
+    exporter.recordCost(request, 0.5);
+    exporter.recordCost(request, -2);
+    exporter.recordCost(request, 0);
+
+    assert.deepEqual(samples('reprice', 'request_cost_dollars_total'), [
+      'llm_monitoring_request_cost_dollars_total{tenant="reprice",model="gpt-4"} 1.5',
+    ]);
+  });
+
+  it('renders histograms with cumulative buckets, +Inf, sum and count', () => {
+    for (const latencyMs of [40, 300, 120000]) {
+      exporter.recordResponse({ tenantId: 'histogram', model: 'm', status: 'success', latencyMs });
+    }
+    const labels = 'tenant="histogram",model="m",status="success"';
+    const lines = samples('histogram', 'response_latency_ms');
+
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_bucket{${labels},le="50"} 1`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_bucket{${labels},le="250"} 1`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_bucket{${labels},le="500"} 2`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_bucket{${labels},le="60000"} 2`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_bucket{${labels},le="+Inf"} 3`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_sum{${labels}} 120340`));
+    assert.ok(lines.includes(`llm_monitoring_response_latency_ms_count{${labels}} 3`));
+  });
+
+  it('counts failed calls by provider and error type', () => {
+    exporter.recordResponse({
+      tenantId: 'errors',
+      model: 'm',
+      provider: 'openai',
+      status: 'error',
+      error: { type: 'timeout' },
+    });
+
+    assert.deepEqual(samples('errors', 'response_error_count_total'), [
+      'llm_monitoring_response_error_count_total{tenant="errors",model="m",provider="openai",error_type="timeout"} 1',
+    ]);
+    assert.deepEqual(samples('errors', 'response_latency_ms'), []);
+  });
+
+  it('escapes backslashes, quotes and newlines in label values', () => {
+    exporter.recordAnomaly({ tenantId: 'escape', type: 'say "hi"\\\nbye', severity: 'low' });
+
+    assert.deepEqual(samples('escape', 'anomaly_detected_total'), [
+      'llm_monitoring_anomaly_detected_total{tenant="escape",anomaly_type="say \\"hi\\"\\\\\\nbye",severity="low"} 1',
+    ]);
+  });
+
+  it('reads gauges at scrape time', () => {
+    let open = 2;
+    exporter.setOpenIncidentsCollector(() => [{ labels: { tenant: 'gauge', severity: 'high' }, value: open }]);
+
+    assert.deepEqual(samples('gauge', 'open_incidents'), ['llm_monitoring_open_incidents{tenant="gauge",severity="high"} 2']);
+    open = 0;
+    assert.deepEqual(samples('gauge', 'open_incidents'), ['llm_monitoring_open_incidents{tenant="gauge",severity="high"} 0']);
+    exporter.setOpenIncidentsCollector(() => []);
+  });
+
+  it('renders only the requested tenant, with records without one under default', () => {
+    exporter.recordRequest({ tenantId: 'scope-a', userId: 'u', model: 'm' });
+    exporter.recordRequest({ userId: 'legacy', model: 'm' });
+
+    const scoped = exporter.render({ tenantId: 'scope-a' });
+    assert.match(scoped, /tenant="scope-a"/);
+    assert.doesNotMatch(scoped, /tenant="(?!scope-a")/);
+    assert.deepEqual(samples('default', 'request_count_total'), [
+      'llm_monitoring_request_count_total{tenant="default",user_id="legacy",model="m"} 1',
+    ]);
+
+    const unscoped = exporter.render();
+    assert.match(unscoped, /tenant="scope-a"/);
+    assert.match(unscoped, /tenant="default"/);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Store contract (memory and file drivers), migrations and retention
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../store/memory-store');
+const { createFileStore } = require('../store/file-store');
+const { migrate, LATEST_VERSION } = require('../store/migrations');
+const { applyRetention } = require('../store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tmpDir;
+
+beforeEach(t => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const DRIVERS = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore({ filePath: path.join(tmpDir, 'store.json') }),
+};
+
+for (const [driver, create] of Object.entries(DRIVERS)) {
+  describe(`${driver} store`, () => {
+    it('inserts and gets records by primary key', () => {
+      const store = create();
+      store.insert('requests', { requestId: 'r1', model: 'a' });
+      store.insert('incidents', { id: 'i1', severity: 'high' });
+
+      assert.deepEqual(store.get('requests', 'r1'), { requestId: 'r1', model: 'a' });
+      assert.deepEqual(store.get('incidents', 'i1'), { id: 'i1', severity: 'high' });
+      assert.equal(store.get('requests', 'missing'), null);
+      store.close();
+    });
+
+    it('replaces a record inserted with the same key', () => {
+      const store = create();
+      store.insert('requests', { requestId: 'r1', model: 'a' });
+      store.insert('requests', { requestId: 'r1', model: 'b' });
+
+      assert.equal(store.count('requests'), 1);
+      assert.equal(store.get('requests', 'r1').model, 'b');
+      store.close();
+    });
+
+    it('finds and counts records in insertion order', () => {
+      const store = create();
+      for (const [requestId, model] of [['r1', 'a'], ['r2', 'b'], ['r3', 'a']]) {
+        store.insert('requests', { requestId, model });
+      }
+
+      assert.deepEqual(store.find('requests').map(r => r.requestId), ['r1', 'r2', 'r3']);
+      assert.deepEqual(store.find('requests', r => r.model === 'a').map(r => r.requestId), ['r1', 'r3']);
+      assert.equal(store.count('requests', r => r.model === 'b'), 1);
+      store.close();
+    });
+
+    it('merges updates without mutating the stored record', () => {
+      const store = create();
+      const original = store.insert('requests', { requestId: 'r1', model: 'a' });
+
+      const updated = store.update('requests', 'r1', { respondedAt: 'now' });
+
+      assert.deepEqual(updated, { requestId: 'r1', model: 'a', respondedAt: 'now' });
+      assert.deepEqual(store.get('requests', 'r1'), updated);
+      assert.equal(original.respondedAt, undefined);
+      assert.equal(store.update('requests', 'missing', { model: 'b' }), null);
+      store.close();
+    });
+
+    it('removes matching records and returns the count', () => {
+      const store = create();
+      store.insert('responses', { requestId: 'r1', status: 'ok' });
+      store.insert('responses', { requestId: 'r2', status: 'error' });
+
+      assert.equal(store.remove('responses', r => r.status === 'error'), 1);
+      assert.deepEqual(store.find('responses').map(r => r.requestId), ['r1']);
+      store.close();
+    });
+
+    it('rejects unknown collections', () => {
+      const store = create();
+      assert.throws(() => store.insert('widgets', { id: 'w1' }), /Unknown collection: widgets/);
+      store.close();
+    });
+  });
+}
+
+describe('file store persistence', () => {
+  it('persists records across restarts', () => {
+    const filePath = path.join(tmpDir, 'store.json');
+    const store = createFileStore({ filePath });
+    store.insert('requests', { requestId: 'r1', model: 'a' });
+    store.close();
+
+    const reopened = createFileStore({ filePath });
+    assert.deepEqual(reopened.get('requests', 'r1'), { requestId: 'r1', model: 'a' });
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion, LATEST_VERSION);
+    reopened.close();
+  });
+
+  it('migrates a document written before schema versions', () => {
+    const filePath = path.join(tmpDir, 'store.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      collections: {
+        requests: [{ requestId: 'r1', timestamp: '2026-01-01T00:00:00.000Z', cost: 0.2, preflight: { verdict: 'block' } }],
+      },
+    }));
+
+    const store = createFileStore({ filePath });
+    const request = store.get('requests', 'r1');
+    assert.equal(request.tenantId, 'default');
+    assert.equal(request.blocked, true);
+    assert.equal(request.cost, 0);
+    store.close();
+  });
+});
+
+describe('migrations', () => {
+  it('upgrades an empty document to the latest version', () => {
+    assert.deepEqual(migrate({}), {
+      schemaVersion: LATEST_VERSION,
+      collections: { requests: [], responses: [], incidents: [] },
+    });
+  });
+
+  it('backfills incident lifecycle, grouping and tenant fields', () => {
+    const { collections } = migrate({
+      schemaVersion: 1,
+      collections: {
+        requests: [],
+        responses: [],
+        incidents: [{
+          id: 'i1',
+          type: 'PII_LEAKAGE',
+          model: 'a',
+          timestamp: '2026-01-01T00:00:00.000Z',
+          requestId: 'r1',
+          closedAt: '2026-01-02T00:00:00.000Z',
+        }],
+      },
+    });
+    const [incident] = collections.incidents;
+
+    assert.deepEqual(incident.timeline.map(entry => entry.action), ['created', 'status_changed']);
+    assert.deepEqual(incident.comments, []);
+    assert.equal(incident.assignee, null);
+    assert.equal(incident.occurrenceCount, 1);
+    assert.deepEqual(incident.requestIds, ['r1']);
+    assert.equal(incident.tenantId, 'default');
+    assert.equal(incident.groupKey, 'default|PII_LEAKAGE|anonymous|a');
+  });
+
+  it('keeps tenants that are already set', () => {
+    const { collections } = migrate({
+      schemaVersion: 3,
+      collections: { requests: [{ requestId: 'r1', tenantId: 'team-a' }], responses: [], incidents: [] },
+    });
+    assert.equal(collections.requests[0].tenantId, 'team-a');
+    assert.equal(collections.requests[0].blocked, false);
+  });
+
+  it('only applies migrations newer than the document', () => {
+    const document = { schemaVersion: LATEST_VERSION, collections: { requests: [{ requestId: 'r1' }] } };
+    assert.deepEqual(migrate(document).collections, document.collections);
+  });
+
+  it('refuses documents from a newer version', () => {
+    assert.throws(() => migrate({ schemaVersion: LATEST_VERSION + 1 }), /newer than supported/);
+  });
+});
+
+describe('retention', () => {
+  it('drops old records but keeps active incidents', () => {
+    const store = createMemoryStore();
+    const old = new Date(Date.now() - 10 * DAY_MS).toISOString();
+    const recent = new Date().toISOString();
+    store.insert('requests', { requestId: 'old', timestamp: old });
+    store.insert('requests', { requestId: 'new', timestamp: recent });
+    store.insert('incidents', { id: 'open', status: 'open', timestamp: old });
+    store.insert('incidents', { id: 'closed', status: 'closed', timestamp: old });
+
+    assert.equal(applyRetention(store, 7), 2);
+    assert.deepEqual(store.find('requests').map(r => r.requestId), ['new']);
+    assert.deepEqual(store.find('incidents').map(i => i.id), ['open']);
+  });
+
+  it('keeps everything when retention is off', () => {
+    const store = createMemoryStore();
+    store.insert('requests', { requestId: 'old', timestamp: '2000-01-01T00:00:00.000Z' });
+    assert.equal(applyRetention(store, 0), 0);
+  });
+});
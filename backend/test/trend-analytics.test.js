@@ -0,0 +1,154 @@
+/**
+ * Trend ranges, bucketing, period comparison and the month-end forecast
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildTrends,
+  selectView,
+  parseRange,
+  forecastMonthEndSpend,
+  TrendQueryError,
+  BUCKETS,
+} = require('../trend-analytics');
+
+const HOUR_MS = BUCKETS.hour;
+const DAY_MS = BUCKETS.day;
+const NOW = Date.parse('2026-03-10T12:30:00.000Z');
+
+function at(iso) {
+  return new Date(iso).toISOString();
+}
+
+describe('parseRange', () => {
+  it('defaults to the last 24 hours in hourly buckets aligned to the hour', () => {
+    const range = parseRange({}, NOW);
+
+    assert.equal(range.bucket, 'hour');
+    assert.equal(range.to, NOW);
+    assert.equal(range.from, Date.parse('2026-03-09T12:00:00.000Z'));
+  });
+
+  it('accepts ISO timestamps and epoch milliseconds', () => {
+    const range = parseRange({ from: '2026-03-01T00:00:00Z', to: String(NOW), bucket: 'day' }, NOW);
+
+    assert.equal(range.from, Date.parse('2026-03-01T00:00:00Z'));
+    assert.equal(range.to, NOW);
+    assert.equal(range.bucketMs, DAY_MS);
+  });
+
+  it('rejects unknown buckets, bad timestamps and empty or oversized ranges', () => {
+    assert.throws(() => parseRange({ bucket: 'week' }, NOW), /bucket must be one of: minute, hour, day/);
+    assert.throws(() => parseRange({ bucket: 'constructor' }, NOW), TrendQueryError);
+    assert.throws(() => parseRange({ from: 'yesterday' }, NOW), /from must be an ISO timestamp/);
+    assert.throws(() => parseRange({ from: '2026-03-10T13:00:00Z' }, NOW), /from must be before to/);
+    assert.throws(() => parseRange({ from: '2026-01-01T00:00:00Z', bucket: 'minute' }, NOW), /Range too large/);
+  });
+});
+
+describe('buildTrends', () => {
+  const data = {
+    requests: [
+      { timestamp: at('2026-03-10T10:05:00Z'), userId: 'alice', model: 'a', cost: 0.1 },
+      { timestamp: at('2026-03-10T10:45:00Z'), userId: 'bob', model: 'b', cost: 0.2 },
+      { timestamp: at('2026-03-10T11:10:00Z'), userId: 'alice', model: 'a', cost: 0.3 },
+      { timestamp: at('2026-03-10T08:30:00Z'), userId: 'alice', model: 'a', cost: 1 },
+    ],
+    responses: [
+      { timestamp: at('2026-03-10T10:06:00Z'), latencyMs: 100 },
+      { timestamp: at('2026-03-10T10:46:00Z'), latencyMs: 300 },
+    ],
+    incidents: [
+      { timestamp: at('2026-03-10T10:50:00Z'), type: 'PII_LEAKAGE', severity: 'high' },
+    ],
+  };
+  const query = { from: '2026-03-10T10:00:00Z', to: '2026-03-10T12:00:00Z' };
+
+  it('splits requests, incidents, cost and latency into buckets', () => {
+    const { series } = buildTrends(data, query, NOW);
+
+    assert.deepEqual(series.map(bucket => [bucket.start, bucket.requests, bucket.incidents]), [
+      ['2026-03-10T10:00:00.000Z', 2, 1],
+      ['2026-03-10T11:00:00.000Z', 1, 0],
+    ]);
+    assert.equal(series[0].cost, 0.3);
+    assert.deepEqual(series[0].costByUser, { alice: 0.1, bob: 0.2 });
+    assert.deepEqual(series[0].incidentsByType, { PII_LEAKAGE: 1 });
+    assert.equal(series[0].safetyScore, 50);
+    assert.deepEqual(series[0].latency, { count: 2, avgMs: 200, p50Ms: 100, p95Ms: 300 });
+    assert.deepEqual(series[1].latency, { count: 0, avgMs: null, p50Ms: null, p95Ms: null });
+  });
+
+  it('compares the range with the period just before it', () => {
+    const { comparison } = buildTrends(data, query, NOW);
+
+    assert.equal(comparison.current.requests, 3);
+    assert.equal(comparison.previous.requests, 1);
+    assert.equal(comparison.previous.from, '2026-03-10T08:00:00.000Z');
+    assert.equal(comparison.change.requests, 2);
+    assert.equal(comparison.change.cost, -0.4);
+    assert.equal(comparison.change.avgLatencyMs, null);
+  });
+
+  it('keeps only the fields of a view, and the forecast only for cost', () => {
+    const trends = buildTrends(data, query, NOW);
+
+    const latency = selectView(trends, 'latency');
+    assert.deepEqual(Object.keys(latency.series[0]), ['start', 'end', 'requests', 'latency']);
+    assert.equal('forecast' in latency, false);
+    assert.ok(selectView(trends, 'cost').forecast);
+    assert.throws(() => selectView(trends, 'nope'), /Unknown trend view: nope/);
+  });
+});
+
+describe('forecastMonthEndSpend', () => {
+  const MONTH_START = Date.parse('2026-03-01T00:00:00Z');
+
+  /**
+   * One request costing `costPerHour` every hour from the start of the month until `now`
+   */
+  function steadySpend(now, costPerHour = 1) {
+    const requests = [];
+    for (let time = MONTH_START; time < now; time += HOUR_MS) {
+      requests.push({ timestamp: new Date(time).toISOString(), cost: costPerHour });
+    }
+    return requests;
+  }
+
+  it('projects steady spend to the same total at any time of day', () => {
+    for (const hour of [1, 6, 12, 18, 23]) {
+      const now = MONTH_START + 9 * DAY_MS + hour * HOUR_MS;
+      const forecast = forecastMonthEndSpend(steadySpend(now), now);
+
+      assert.equal(forecast.dailyRate, 24, `dailyRate at ${hour}:00`);
+      assert.equal(forecast.projectedMonthEnd, 31 * 24, `projection at ${hour}:00`);
+    }
+  });
+
+  it('counts the part of today that has elapsed', () => {
+    const now = MONTH_START + 9 * DAY_MS + 6 * HOUR_MS;
+    const forecast = forecastMonthEndSpend(steadySpend(now), now);
+
+    assert.equal(forecast.month, '2026-03');
+    assert.equal(forecast.daysElapsed, 9.25);
+    assert.equal(forecast.daysInMonth, 31);
+    assert.equal(forecast.monthToDate, 222);
+  });
+
+  it('scales a single partial day of spend to a full day', () => {
+    const now = MONTH_START + 14 * DAY_MS + 6 * HOUR_MS;
+    const forecast = forecastMonthEndSpend([{ timestamp: new Date(now - 1000).toISOString(), cost: 6 }], now);
+
+    assert.equal(forecast.dailyRate, 24);
+    assert.equal(forecast.projectedMonthEnd, 6 + 24 * (31 - 14.25));
+  });
+
+  it('ignores spend from other months and projects nothing without spend', () => {
+    const now = MONTH_START + 2 * DAY_MS;
+    const forecast = forecastMonthEndSpend([{ timestamp: new Date(MONTH_START - 1).toISOString(), cost: 5 }], now);
+
+    assert.equal(forecast.monthToDate, 0);
+    assert.equal(forecast.projectedMonthEnd, 0);
+  });
+});
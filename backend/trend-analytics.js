@@ -0,0 +1,323 @@
+/**
+ * Trend Analytics
+ * Time-bucketed series, period-over-period comparison and a month-end spend
+ * forecast over stored requests, responses and incidents.
+ */
+
+const BUCKETS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Series fields returned alongside each /api/metrics/* endpoint
+const VIEWS = {
+  safety: ['requests', 'incidents', 'incidentsByType', 'incidentsBySeverity', 'safetyScore'],
+  cost: ['requests', 'cost', 'costByUser', 'costByModel'],
+  latency: ['requests', 'latency'],
+};
+
+const DEFAULT_BUCKET = 'hour';
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 1000;
+
+/**
+ * Thrown for malformed trend parameters
+ */
+class TrendQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrendQueryError';
+  }
+}
+
+/**
+ * Parse an ISO timestamp or epoch milliseconds
+ */
+function toTime(value, name) {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new TrendQueryError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Resolve from/to/bucket query parameters.
+ * Defaults to the last 24 hours in hourly buckets; `from` is aligned down
+ * to the bucket size so buckets line up with the clock.
+ */
+function parseRange(query = {}, now = Date.now()) {
+  const bucket = query.bucket || DEFAULT_BUCKET;
+  if (!Object.hasOwn(BUCKETS, bucket)) {
+    throw new TrendQueryError(`bucket must be one of: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+  const bucketMs = BUCKETS[bucket];
+
+  const to = query.to ? toTime(query.to, 'to') : now;
+  const requestedFrom = query.from ? toTime(query.from, 'from') : to - DEFAULT_RANGE_MS;
+  const from = Math.floor(requestedFrom / bucketMs) * bucketMs;
+
+  if (from >= to) {
+    throw new TrendQueryError('from must be before to');
+  }
+  if ((to - from) / bucketMs > MAX_BUCKETS) {
+    throw new TrendQueryError(`Range too large for ${bucket} buckets (max ${MAX_BUCKETS})`);
+  }
+
+  return { from, to, bucket, bucketMs };
+}
+
+/**
+ * Records with a timestamp inside [from, to)
+ */
+function inRange(records, from, to) {
+  return records.filter(record => {
+    const time = new Date(record.timestamp).getTime();
+    return time >= from && time < to;
+  });
+}
+
+/**
+ * Split records into consecutive buckets across the range
+ */
+function bucketize(records, { from, to, bucketMs }) {
+  const buckets = [];
+  for (let start = from; start < to; start += bucketMs) {
+    buckets.push({ start, end: Math.min(start + bucketMs, to), records: [] });
+  }
+
+  for (const record of inRange(records, from, to)) {
+    const index = Math.floor((new Date(record.timestamp).getTime() - from) / bucketMs);
+    buckets[index].records.push(record);
+  }
+
+  return buckets;
+}
+
+/**
+ * Sum `value(record)` per `key(record)`
+ */
+function sumBy(records, key, value = () => 1) {
+  const totals = {};
+  for (const record of records) {
+    const k = key(record);
+    totals[k] = (totals[k] || 0) + value(record);
+  }
+  return totals;
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Same formula as the all-time safety score in incident-manager
+ */
+function safetyScore(requestCount, incidentCount) {
+  return requestCount > 0 ? Math.round(Math.max(0, 100 - (incidentCount / requestCount) * 100)) : 100;
+}
+
+/**
+ * Value at a percentile of a sorted list
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Latency summary for a set of responses
+ */
+function latencyStats(responses) {
+  const latencies = responses
+    .map(res => res.latencyMs)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  return {
+    count: latencies.length,
+    avgMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b) / latencies.length) : null,
+    p50Ms: percentile(latencies, 50),
+    p95Ms: percentile(latencies, 95),
+  };
+}
+
+/**
+ * Totals for one period
+ */
+function summarize({ requests, responses, incidents }) {
+  const cost = requests.reduce((sum, req) => sum + (req.cost || 0), 0);
+  const latency = latencyStats(responses);
+
+  return {
+    requests: requests.length,
+    incidents: incidents.length,
+    safetyScore: safetyScore(requests.length, incidents.length),
+    cost: round(cost),
+    avgLatencyMs: latency.avgMs,
+    p95LatencyMs: latency.p95Ms,
+  };
+}
+
+/**
+ * Relative change from `previous` to `current`, or null without a baseline
+ */
+function change(current, previous) {
+  if (current === null || previous === null || previous === 0) return null;
+  return round((current - previous) / previous, 4);
+}
+
+/**
+ * Compare the range with the period of the same length just before it
+ */
+function comparePeriods(data, { from, to }) {
+  const length = to - from;
+  const slice = (start, end) => ({
+    requests: inRange(data.requests, start, end),
+    responses: inRange(data.responses, start, end),
+    incidents: inRange(data.incidents, start, end),
+  });
+
+  const current = summarize(slice(from, to));
+  const previous = summarize(slice(from - length, from));
+
+  const changes = {};
+  for (const field of Object.keys(current)) {
+    changes[field] = change(current[field], previous[field]);
+  }
+
+  return {
+    current,
+    previous: { from: new Date(from - length).toISOString(), to: new Date(from).toISOString(), ...previous },
+    change: changes,
+  };
+}
+
+/**
+ * Linear forecast of month-end spend.
+ * Fits a least-squares line through cumulative spend so far this month
+ * (UTC), from the first day with any spend, and extends it to the end of
+ * the month. Each day's total sits at the end of that day, except today's,
+ * which sits at `now`: a partial day counts only for the part that has
+ * elapsed.
+ */
+function forecastMonthEndSpend(requests, now = Date.now()) {
+  const today = new Date(now);
+  const monthStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1);
+  const daysInMonth = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)).getUTCDate();
+  const daysElapsed = (now - monthStart) / BUCKETS.day;
+
+  const daily = new Array(Math.floor(daysElapsed) + 1).fill(0);
+  for (const req of inRange(requests, monthStart, now + 1)) {
+    daily[Math.floor((new Date(req.timestamp).getTime() - monthStart) / BUCKETS.day)] += req.cost || 0;
+  }
+
+  const cumulative = [];
+  daily.reduce((sum, cost, day) => (cumulative[day] = sum + cost), 0);
+  const monthToDate = cumulative[cumulative.length - 1];
+
+  // (days since month start, spend so far) from the first day with spend
+  const firstDay = Math.max(0, daily.findIndex(cost => cost > 0));
+  const points = cumulative
+    .map((y, day) => ({ x: Math.min(day + 1, daysElapsed), y }))
+    .slice(firstDay);
+
+  // Slope of cumulative spend per day; with a single day it is that day's
+  // spend scaled to a full day (at least an hour in, so one early request
+  // does not project a whole day at that pace)
+  let dailyRate = monthToDate / Math.max(daysElapsed - firstDay, 1 / 24);
+  if (points.length > 1) {
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    let numerator = 0;
+    let denominator = 0;
+    for (const { x, y } of points) {
+      numerator += (x - meanX) * (y - meanY);
+      denominator += (x - meanX) ** 2;
+    }
+    dailyRate = Math.max(0, numerator / denominator);
+  }
+
+  return {
+    month: `${today.getUTCFullYear()}-${String(today.getUTCMonth() + 1).padStart(2, '0')}`,
+    daysElapsed: round(daysElapsed, 2),
+    daysInMonth,
+    monthToDate: round(monthToDate),
+    dailyRate: round(dailyRate),
+    projectedMonthEnd: round(monthToDate + dailyRate * (daysInMonth - daysElapsed)),
+  };
+}
+
+/**
+ * Build trend series for a range
+ *
+ * `data` holds { requests, responses, incidents } already scoped to the
+ * caller. Each bucket reports request volume, incidents by type and
+ * severity, safety score, cost by user and model, and latency.
+ */
+function buildTrends(data, query = {}, now = Date.now()) {
+  const range = parseRange(query, now);
+
+  const requestBuckets = bucketize(data.requests, range);
+  const responseBuckets = bucketize(data.responses, range);
+  const incidentBuckets = bucketize(data.incidents, range);
+
+  const series = requestBuckets.map((bucket, i) => {
+    const requests = bucket.records;
+    const incidents = incidentBuckets[i].records;
+
+    return {
+      start: new Date(bucket.start).toISOString(),
+      end: new Date(bucket.end).toISOString(),
+      requests: requests.length,
+      incidents: incidents.length,
+      incidentsByType: sumBy(incidents, inc => inc.type),
+      incidentsBySeverity: sumBy(incidents, inc => inc.severity),
+      safetyScore: safetyScore(requests.length, incidents.length),
+      cost: round(requests.reduce((sum, req) => sum + (req.cost || 0), 0)),
+      costByUser: sumBy(requests, req => req.userId || 'anonymous', req => req.cost || 0),
+      costByModel: sumBy(requests, req => req.model || 'unknown', req => req.cost || 0),
+      latency: latencyStats(responseBuckets[i].records),
+    };
+  });
+
+  return {
+    range: {
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      bucket: range.bucket,
+    },
+    series,
+    comparison: comparePeriods(data, range),
+    forecast: forecastMonthEndSpend(data.requests, now),
+  };
+}
+
+/**
+ * Narrow trends to one view's series fields; only the cost view keeps the forecast
+ */
+function selectView(trends, view) {
+  if (!Object.hasOwn(VIEWS, view)) throw new TrendQueryError(`Unknown trend view: ${view}`);
+  const fields = VIEWS[view];
+
+  const series = trends.series.map(bucket => {
+    const picked = { start: bucket.start, end: bucket.end };
+    for (const field of fields) picked[field] = bucket[field];
+    return picked;
+  });
+
+  const { forecast, ...rest } = trends;
+  return view === 'cost' ? { ...rest, series, forecast } : { ...rest, series };
+}
+
+module.exports = {
+  buildTrends,
+  selectView,
+  parseRange,
+  comparePeriods,
+  forecastMonthEndSpend,
+  TrendQueryError,
+  BUCKETS,
+  VIEWS,
+};
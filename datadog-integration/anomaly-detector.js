@@ -1,16 +1,15 @@
 /**
  * Anomaly Detection Engine
  * Processes LLM responses and requests to detect security/performance issues
+ *
+ * Environment:
+ *   PII_HASH_SECRET  HMAC key for PII value hashes. Without it a random key is
+ *                    used, so hashes only correlate within one process.
  */
 
-// PII patterns
-const PII_PATTERNS = {
-  EMAIL: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-  PHONE: /(?:\+1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/g,
-  SSN: /\b(?!000|666|9\d{2})\d{3}-(?!00)\d{2}-(?!0{4})\d{4}\b/g,
-  CREDIT_CARD: /\b(?:\d{4}[-\s]?){3}\d{4}\b/g,
-  API_KEY: /(?:api[_-]?key|sk_[a-z0-9]{20,})/gi,
-};
+const crypto = require('crypto');
+const detectionPolicy = require('./detection-policy');
+const { scanPII, PII_TYPES } = require('./pii-detectors');
 
 // Toxic content keywords (expanded list)
 const TOXIC_KEYWORDS = [
@@ -18,49 +17,114 @@ const TOXIC_KEYWORDS = [
   'slur', 'threat', 'terror', 'bomb', 'poison', 'explicit content',
 ];
 
-// Prompt injection patterns
+// Whole words only, with common inflections: "killing" matches, "skill" does not
+const TOXIC_PATTERNS = TOXIC_KEYWORDS.map(keyword => ({
+  keyword,
+  pattern: new RegExp(`\\b${keyword}(?:s|es|ed|ing|er|ers|ful)?\\b`, 'i'),
+}));
+
+// Prompt injection patterns. `high` matches are explicit attempts to
+// override the instructions; `low` ones also turn up in ordinary prompts.
 const INJECTION_PATTERNS = [
-  /ignore previous|disregard the prompt|forget instructions/i,
-  /system override|admin mode|test mode/i,
-  /bypass|jailbreak|prompt injection/i,
-  /execute command|run code|eval/i,
+  { confidence: 'high', pattern: /\b(?:ignore|disregard|forget) (?:all |any )?(?:of )?(?:the |your |my )?(?:previous|prior|above|earlier|system) (?:instructions|prompts?|rules)\b/i },
+  { confidence: 'high', pattern: /\b(?:disregard (?:the|your|all)|forget (?:all|your)) (?:system )?(?:prompt|instructions)\b/i },
+  { confidence: 'high', pattern: /\bsystem override\b/i },
+  { confidence: 'high', pattern: /\b(?:enter|enable|activate|switch to) (?:admin|developer|god|DAN) mode\b/i },
+  { confidence: 'low', pattern: /\b(?:admin|test|developer|DAN) mode\b/i },
+  { confidence: 'low', pattern: /\bbypass (?:the |your |all |any )?(?:safety |content )?(?:filters?|restrictions|guardrails|rules|safeguards)\b/i },
+  { confidence: 'low', pattern: /\b(?:jailbreak|prompt injection)\b/i },
+  { confidence: 'low', pattern: /\bexecute (?:this |the following )?(?:shell |system )?commands?\b|\beval\s*\(/i },
 ];
 
+let piiHashKey = null;
+
+/**
+ * HMAC key for PII hashes. Never a fixed default: SSNs and card numbers
+ * come from a keyspace small enough to brute-force against a known key.
+ */
+function getPIIHashKey() {
+  if (!piiHashKey) {
+    piiHashKey = process.env.PII_HASH_SECRET;
+    if (!piiHashKey) {
+      console.warn('⚠️  PII_HASH_SECRET not set, PII hashes will only correlate within this process');
+      piiHashKey = crypto.randomBytes(32);
+    }
+  }
+  return piiHashKey;
+}
+
+/**
+ * Hash a matched PII value so findings can be correlated without storing it
+ */
+function hashPIIValue(value) {
+  return crypto
+    .createHmac('sha256', getPIIHashKey())
+    .update(value)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Find PII matches in text with their character offsets and confidence.
+ * Matches carry the raw value and must not leave the process.
+ */
+function findPIIMatches(text) {
+  return scanPII(text);
+}
+
 /**
  * Detect PII in text
+ * Returns one entry per type with span offsets, value hashes and the
+ * highest confidence among its matches
  */
 function detectPII(text) {
-  if (!text) return [];
-  
   const detected = [];
-  
-  if (PII_PATTERNS.EMAIL.test(text)) {
-    detected.push({ type: 'EMAIL', count: (text.match(PII_PATTERNS.EMAIL) || []).length });
-  }
-  if (PII_PATTERNS.PHONE.test(text)) {
-    detected.push({ type: 'PHONE', count: (text.match(PII_PATTERNS.PHONE) || []).length });
-  }
-  if (PII_PATTERNS.SSN.test(text)) {
-    detected.push({ type: 'SSN', count: (text.match(PII_PATTERNS.SSN) || []).length });
-  }
-  if (PII_PATTERNS.CREDIT_CARD.test(text)) {
-    detected.push({ type: 'CREDIT_CARD', count: (text.match(PII_PATTERNS.CREDIT_CARD) || []).length });
-  }
-  if (PII_PATTERNS.API_KEY.test(text)) {
-    detected.push({ type: 'API_KEY', count: (text.match(PII_PATTERNS.API_KEY) || []).length });
+  const matches = findPIIMatches(text);
+
+  for (const type of PII_TYPES) {
+    const spans = matches
+      .filter(match => match.type === type)
+      .map(match => ({
+        start: match.start,
+        end: match.end,
+        hash: hashPIIValue(match.value),
+        confidence: match.confidence,
+      }));
+
+    if (spans.length > 0) {
+      detected.push({
+        type,
+        count: spans.length,
+        confidence: Math.max(...spans.map(span => span.confidence)),
+        spans,
+      });
+    }
   }
   
   return detected;
 }
 
+/**
+ * Scale a detector's severity down for less confident PII findings
+ */
+function piiSeverity(baseSeverity, findings, thresholds) {
+  const confidence = Math.max(...findings.map(finding => finding.confidence));
+  const levels = detectionPolicy.SEVERITIES;
+  let index = levels.indexOf(baseSeverity);
+
+  if (confidence < thresholds.piiHighConfidence) index--;
+  if (confidence < thresholds.piiMediumConfidence) index--;
+
+  return levels[Math.max(0, index)];
+}
+
 /**
  * Detect toxic content
  */
 function detectToxicContent(text) {
   if (!text) return false;
   
-  const lowerText = text.toLowerCase();
-  return TOXIC_KEYWORDS.some(keyword => lowerText.includes(keyword));
+  return TOXIC_PATTERNS.some(({ pattern }) => pattern.test(text));
 }
 
 /**
@@ -69,22 +133,67 @@ function detectToxicContent(text) {
 function detectPromptInjection(text) {
   if (!text) return false;
   
-  return INJECTION_PATTERNS.some(pattern => pattern.test(text));
+  return INJECTION_PATTERNS.some(({ pattern }) => pattern.test(text));
+}
+
+/**
+ * Find the prompt injection phrases present in text, with their offsets
+ * and confidence (high | low)
+ */
+function findPromptInjections(text) {
+  if (!text) return [];
+
+  const matches = [];
+  for (const { confidence, pattern } of INJECTION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      matches.push({ match: match[0], index: match.index, confidence });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find the toxic keywords present in text
+ */
+function findToxicKeywords(text) {
+  if (!text) return [];
+
+  return TOXIC_PATTERNS
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ keyword }) => keyword);
+}
+
+/**
+ * Format a ratio threshold as a percentage
+ */
+function percent(ratio) {
+  return Math.round(ratio * 100);
+}
+
+/**
+ * Default thresholds from the detection policy
+ */
+function defaultThresholds() {
+  return detectionPolicy.resolvePolicy().thresholds;
 }
 
 /**
  * Analyze token usage for anomalies
  */
-function analyzeTokenUsage(currentTokens, averageTokens) {
+function analyzeTokenUsage(currentTokens, averageTokens, thresholds = defaultThresholds(), zScore = null) {
   if (!averageTokens) return { isAnomaly: false, reason: 'No baseline' };
   
   const increase = (currentTokens - averageTokens) / averageTokens;
   
-  if (increase > 2) {
-    return { isAnomaly: true, reason: 'Token usage >200% above average' };
+  if (increase > thresholds.tokenSpikeRatio) {
+    return { isAnomaly: true, reason: `Token usage >${percent(thresholds.tokenSpikeRatio)}% above average` };
   }
-  if (increase > 1.5) {
-    return { isAnomaly: true, reason: 'Token usage >150% above average', severity: 'medium' };
+  if (increase > thresholds.tokenElevatedRatio) {
+    return { isAnomaly: true, reason: `Token usage >${percent(thresholds.tokenElevatedRatio)}% above average`, elevated: true };
+  }
+  if (zScore !== null && zScore > thresholds.zScoreLimit) {
+    return { isAnomaly: true, reason: `Token usage ${zScore.toFixed(1)} deviations above baseline`, elevated: true };
   }
   
   return { isAnomaly: false };
@@ -93,37 +202,62 @@ function analyzeTokenUsage(currentTokens, averageTokens) {
 /**
  * Analyze cost anomaly
  */
-function analyzeCostAnomaly(currentCost, avgCost, costThreshold = 50) {
+function analyzeCostAnomaly(currentCost, avgCost, thresholds = defaultThresholds(), zScore = null) {
   if (!avgCost) return { isAnomaly: false };
   
   const increase = (currentCost - avgCost) / avgCost;
+  const { costThreshold } = thresholds;
   
   if (currentCost > costThreshold) {
     return { isAnomaly: true, reason: `Cost ($${currentCost.toFixed(2)}) exceeds threshold ($${costThreshold})` };
   }
-  if (increase > 3) {
-    return { isAnomaly: true, reason: `Cost spike: >300% increase from baseline` };
+  if (increase > thresholds.costSpikeRatio) {
+    return { isAnomaly: true, reason: `Cost spike: >${percent(thresholds.costSpikeRatio)}% increase from baseline` };
+  }
+  if (zScore !== null && zScore > thresholds.zScoreLimit) {
+    return { isAnomaly: true, reason: `Cost ${zScore.toFixed(1)} deviations above baseline` };
   }
   
   return { isAnomaly: false };
 }
 
+/**
+ * Compare the client-reported cost with the cost priced from the catalog
+ */
+function analyzeCostMismatch(reportedCost, computedCost, thresholds = defaultThresholds()) {
+  if (reportedCost === undefined || reportedCost === null || !computedCost) return { isAnomaly: false };
+
+  const difference = Math.abs(reportedCost - computedCost) / computedCost;
+
+  if (difference > thresholds.costMismatchTolerance) {
+    return {
+      isAnomaly: true,
+      reason: `Reported cost ($${reportedCost.toFixed(4)}) differs ${percent(difference)}% from catalog price ($${computedCost.toFixed(4)})`,
+    };
+  }
+
+  return { isAnomaly: false };
+}
+
 /**
  * Analyze latency anomaly
  */
-function analyzeLatencyAnomaly(latencyMs, avgLatencyMs) {
+function analyzeLatencyAnomaly(latencyMs, avgLatencyMs, thresholds = defaultThresholds(), zScore = null) {
   if (!avgLatencyMs) return { isAnomaly: false };
   
   const increase = (latencyMs - avgLatencyMs) / avgLatencyMs;
   
-  if (latencyMs > 30000) {
-    return { isAnomaly: true, reason: 'Request timeout (>30s)' };
+  if (latencyMs > thresholds.latencyTimeoutMs) {
+    return { isAnomaly: true, reason: `Request timeout (>${thresholds.latencyTimeoutMs / 1000}s)` };
+  }
+  if (increase > thresholds.latencySpikeRatio) {
+    return { isAnomaly: true, reason: `Latency >${percent(thresholds.latencySpikeRatio)}% above average (${latencyMs}ms vs ${avgLatencyMs}ms)` };
   }
-  if (increase > 2.5) {
-    return { isAnomaly: true, reason: `Latency >250% above average (${latencyMs}ms vs ${avgLatencyMs}ms)` };
+  if (increase > thresholds.latencyElevatedRatio) {
+    return { isAnomaly: true, reason: `Latency elevated: ${latencyMs}ms vs ${avgLatencyMs}ms avg`, elevated: true };
   }
-  if (increase > 1.5) {
-    return { isAnomaly: true, reason: `Latency elevated: ${latencyMs}ms vs ${avgLatencyMs}ms avg`, severity: 'medium' };
+  if (zScore !== null && zScore > thresholds.zScoreLimit) {
+    return { isAnomaly: true, reason: `Latency ${zScore.toFixed(1)} deviations above baseline (${latencyMs}ms)`, elevated: true };
   }
   
   return { isAnomaly: false };
@@ -132,10 +266,10 @@ function analyzeLatencyAnomaly(latencyMs, avgLatencyMs) {
 /**
  * Detect hallucination indicators
  */
-function detectHallucination(response, confidenceScore) {
+function detectHallucination(response, confidenceScore, thresholds = defaultThresholds()) {
   if (!response) return { isAnomaly: false };
   
-  if (confidenceScore < 0.3) {
+  if (confidenceScore < thresholds.minConfidenceScore) {
     return { isAnomaly: true, reason: `Very low confidence score: ${confidenceScore}` };
   }
   
@@ -150,27 +284,41 @@ function detectHallucination(response, confidenceScore) {
 /**
  * Check for repeated failure pattern
  */
-function analyzeErrorPattern(errorCount, timeWindowMinutes = 5) {
-  if (errorCount > 10) {
-    return { isAnomaly: true, reason: `High error rate: ${errorCount} errors in ${timeWindowMinutes}m` };
+function analyzeErrorPattern(errorCount, thresholds = defaultThresholds(), errorRate = null, callCount = null) {
+  if (errorCount > thresholds.errorCountLimit) {
+    return { isAnomaly: true, reason: `High error rate: ${errorCount} errors in ${thresholds.errorWindowMinutes}m` };
+  }
+  if (errorRate !== null && callCount >= thresholds.errorRateMinCalls && errorRate > thresholds.errorRateLimit) {
+    return {
+      isAnomaly: true,
+      reason: `High error rate: ${percent(errorRate)}% of ${callCount} calls failed in ${thresholds.errorWindowMinutes}m`,
+    };
   }
   return { isAnomaly: false };
 }
 
 /**
  * Main anomaly analysis function
+ * Thresholds, severities and enabled detectors come from the detection
+ * policy resolved for the message's tenant, model and user.
  */
 function analyzeMessage(message) {
   const anomalies = [];
+  const { detectors, thresholds } = detectionPolicy.resolvePolicy({
+    model: message.model,
+    userId: message.userId,
+    tenantId: message.tenantId,
+  });
+  const isEnabled = type => detectors[type].enabled;
   
   // Detect PII leakage
-  const piiInRequest = message.prompt ? detectPII(message.prompt) : [];
-  const piiInResponse = message.response ? detectPII(message.response) : [];
+  const piiInRequest = message.prompt && isEnabled('PII_IN_REQUEST') ? detectPII(message.prompt) : [];
+  const piiInResponse = message.response && isEnabled('PII_LEAKAGE') ? detectPII(message.response) : [];
   
   if (piiInRequest.length > 0) {
     anomalies.push({
       type: 'PII_IN_REQUEST',
-      severity: 'critical',
+      severity: piiSeverity(detectors.PII_IN_REQUEST.severity, piiInRequest, thresholds),
       description: `PII detected in user input: ${piiInRequest.map(p => p.type).join(', ')}`,
       detailedPII: piiInRequest,
     });
@@ -179,37 +327,39 @@ function analyzeMessage(message) {
   if (piiInResponse.length > 0) {
     anomalies.push({
       type: 'PII_LEAKAGE',
-      severity: 'critical',
+      severity: piiSeverity(detectors.PII_LEAKAGE.severity, piiInResponse, thresholds),
       description: `Model leaked PII: ${piiInResponse.map(p => p.type).join(', ')}`,
       detailedPII: piiInResponse,
     });
   }
   
   // Detect toxic content
-  if (message.response && detectToxicContent(message.response)) {
+  if (message.response && isEnabled('TOXIC_CONTENT') && detectToxicContent(message.response)) {
     anomalies.push({
       type: 'TOXIC_CONTENT',
-      severity: 'high',
+      severity: detectors.TOXIC_CONTENT.severity,
       description: 'Model generated toxic/harmful content',
     });
   }
   
   // Detect prompt injection
-  if (message.prompt && detectPromptInjection(message.prompt)) {
+  if (message.prompt && isEnabled('PROMPT_INJECTION') && detectPromptInjection(message.prompt)) {
     anomalies.push({
       type: 'PROMPT_INJECTION',
-      severity: 'critical',
+      severity: detectors.PROMPT_INJECTION.severity,
       description: 'Possible prompt injection attack detected in user input',
     });
   }
   
   // Analyze token usage
-  if (message.tokenCount !== undefined && message.avgTokenCount !== undefined) {
-    const tokenAnomaly = analyzeTokenUsage(message.tokenCount, message.avgTokenCount);
+  if (isEnabled('TOKEN_ANOMALY') && message.tokenCount !== undefined && message.avgTokenCount !== undefined) {
+    const tokenAnomaly = analyzeTokenUsage(message.tokenCount, message.avgTokenCount, thresholds, message.tokenZScore ?? null);
     if (tokenAnomaly.isAnomaly) {
       anomalies.push({
         type: 'TOKEN_ANOMALY',
-        severity: tokenAnomaly.severity || 'medium',
+        severity: tokenAnomaly.elevated
+          ? detectors.TOKEN_ANOMALY.elevatedSeverity || detectors.TOKEN_ANOMALY.severity
+          : detectors.TOKEN_ANOMALY.severity,
         description: tokenAnomaly.reason,
         tokens: message.tokenCount,
         avgTokens: message.avgTokenCount,
@@ -218,12 +368,12 @@ function analyzeMessage(message) {
   }
   
   // Analyze cost
-  if (message.cost !== undefined && message.avgCost !== undefined) {
-    const costAnomaly = analyzeCostAnomaly(message.cost, message.avgCost);
+  if (isEnabled('COST_ANOMALY') && message.cost !== undefined && message.avgCost !== undefined) {
+    const costAnomaly = analyzeCostAnomaly(message.cost, message.avgCost, thresholds, message.costZScore ?? null);
     if (costAnomaly.isAnomaly) {
       anomalies.push({
         type: 'COST_ANOMALY',
-        severity: 'high',
+        severity: detectors.COST_ANOMALY.severity,
         description: costAnomaly.reason,
         cost: message.cost,
         avgCost: message.avgCost,
@@ -231,13 +381,29 @@ function analyzeMessage(message) {
     }
   }
   
+  // Check reported cost against the pricing catalog
+  if (isEnabled('COST_MISMATCH') && message.computedCost !== undefined) {
+    const mismatch = analyzeCostMismatch(message.reportedCost, message.computedCost, thresholds);
+    if (mismatch.isAnomaly) {
+      anomalies.push({
+        type: 'COST_MISMATCH',
+        severity: detectors.COST_MISMATCH.severity,
+        description: mismatch.reason,
+        reportedCost: message.reportedCost,
+        computedCost: message.computedCost,
+      });
+    }
+  }
+  
   // Analyze latency
-  if (message.latencyMs !== undefined && message.avgLatencyMs !== undefined) {
-    const latencyAnomaly = analyzeLatencyAnomaly(message.latencyMs, message.avgLatencyMs);
+  if (isEnabled('PERFORMANCE_DEGRADATION') && message.latencyMs !== undefined && message.avgLatencyMs !== undefined) {
+    const latencyAnomaly = analyzeLatencyAnomaly(message.latencyMs, message.avgLatencyMs, thresholds, message.latencyZScore ?? null);
     if (latencyAnomaly.isAnomaly) {
       anomalies.push({
         type: 'PERFORMANCE_DEGRADATION',
-        severity: latencyAnomaly.severity || 'high',
+        severity: latencyAnomaly.elevated
+          ? detectors.PERFORMANCE_DEGRADATION.elevatedSeverity || detectors.PERFORMANCE_DEGRADATION.severity
+          : detectors.PERFORMANCE_DEGRADATION.severity,
         description: latencyAnomaly.reason,
         latencyMs: message.latencyMs,
         avgLatencyMs: message.avgLatencyMs,
@@ -246,12 +412,12 @@ function analyzeMessage(message) {
   }
   
   // Detect hallucination
-  if (message.response && message.confidenceScore !== undefined) {
-    const hallucination = detectHallucination(message.response, message.confidenceScore);
+  if (isEnabled('HALLUCINATION') && message.response && message.confidenceScore !== undefined) {
+    const hallucination = detectHallucination(message.response, message.confidenceScore, thresholds);
     if (hallucination.isAnomaly) {
       anomalies.push({
         type: 'HALLUCINATION',
-        severity: 'high',
+        severity: detectors.HALLUCINATION.severity,
         description: hallucination.reason,
         confidenceScore: message.confidenceScore,
       });
@@ -259,14 +425,20 @@ function analyzeMessage(message) {
   }
   
   // Analyze error patterns
-  if (message.errorCount !== undefined && message.errorCount > 0) {
-    const errorAnomaly = analyzeErrorPattern(message.errorCount);
+  if (isEnabled('ERROR_SPIKE') && message.errorCount !== undefined && message.errorCount > 0) {
+    const errorAnomaly = analyzeErrorPattern(
+      message.errorCount,
+      thresholds,
+      message.errorRate ?? null,
+      message.callCount ?? null
+    );
     if (errorAnomaly.isAnomaly) {
       anomalies.push({
         type: 'ERROR_SPIKE',
-        severity: 'high',
+        severity: detectors.ERROR_SPIKE.severity,
         description: errorAnomaly.reason,
         errorCount: message.errorCount,
+        errorRate: message.errorRate,
       });
     }
   }
@@ -277,10 +449,16 @@ function analyzeMessage(message) {
 module.exports = {
   analyzeMessage,
   detectPII,
+  findPIIMatches,
+  hashPIIValue,
   detectToxicContent,
   detectPromptInjection,
+  findPromptInjections,
+  findToxicKeywords,
   analyzeTokenUsage,
   analyzeCostAnomaly,
+  analyzeCostMismatch,
   analyzeLatencyAnomaly,
   detectHallucination,
+  analyzeErrorPattern,
 };
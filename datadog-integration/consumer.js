@@ -1,38 +1,54 @@
 require('dotenv').config({ path: '../.env' });
-const { Kafka } = require('kafkajs');
-const axios = require('axios');
-
-const kafka = new Kafka({
-  clientId: 'llm-consumer',
-  brokers: [process.env.CONFLUENT_BOOTSTRAP_SERVER],
-  ssl: true,
-  sasl: {
-    mechanism: 'plain',
-    username: process.env.CONFLUENT_API_KEY,
-    password: process.env.CONFLUENT_API_SECRET,
-  },
-});
-
-const consumer = kafka.consumer({ groupId: 'datadog-consumer-group' });
-
-const DATADOG_API = process.env.DATADOG_SITE
-  ? `https://api.${process.env.DATADOG_SITE}`
-  : 'https://api.us5.datadoghq.com';
-
-const datadogAxios = axios.create({
-  baseURL: DATADOG_API,
-  headers: {
-    'DD-API-KEY': process.env.DATADOG_API_KEY,
-    'DD-APPLICATION-KEY': process.env.DATADOG_APP_KEY,
-  },
-});
+const detectionPolicy = require('./detection-policy');
+const { createSinks } = require('./sinks');
+const { createTransport } = require('../kafka-integration/transports');
+const { decode } = require('../kafka-integration/schemas');
+const { createDedupCache, withRetry, deadLetterMessage, PermanentError } = require('./delivery');
+
+// Confluent Cloud, a local broker or the in-process bus, chosen by KAFKA_TRANSPORT.
+// The in-memory bus only reaches a consumer running in the backend process.
+const transport = createTransport({ clientId: 'llm-consumer' });
+
+const consumer = transport.consumer({ groupId: 'datadog-consumer-group' });
+
+// Publishes messages that could not be processed to the dead-letter topic
+const deadLetterProducer = transport.producer();
+
+const DEAD_LETTER_TOPIC = process.env.DEAD_LETTER_TOPIC || 'llm-dead-letter';
+const MAX_RETRIES = parseInt(process.env.CONSUMER_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.CONSUMER_RETRY_BASE_MS || '500', 10);
+const DEDUP_CACHE_SIZE = parseInt(process.env.CONSUMER_DEDUP_CACHE_SIZE || '10000', 10);
+
+// Recently processed messages, so redeliveries after a rebalance are skipped.
+// The cache is in memory only: after a restart, messages past the last
+// committed offset are processed again.
+const processed = createDedupCache(DEDUP_CACHE_SIZE);
+
+const METRIC_PREFIX = 'llm_monitoring.';
+
+const DEFAULT_TENANT = 'default';
+
+// Telemetry sinks chosen by TELEMETRY_SINKS (see ./sinks), created in initialize()
+let telemetry = null;
+
+function getTelemetry() {
+  if (!telemetry) {
+    throw new Error('Telemetry sinks are not initialized; call initialize() first');
+  }
+  return telemetry;
+}
 
 /**
  * Initialize consumer
  */
 async function initialize() {
   try {
+    // Created first so a bad TELEMETRY_SINKS configuration fails at startup
+    // instead of dead-lettering every message
+    telemetry = createSinks();
+
     await consumer.connect();
+    await deadLetterProducer.connect();
     console.log('✅ Kafka Consumer Connected');
     
     // Subscribe to all relevant topics
@@ -54,203 +70,318 @@ async function initialize() {
 }
 
 /**
- * Send metric to Datadog
+ * Tenant tag value; messages from before multi-tenancy belong to the default tenant
  */
-async function sendMetricToDatadog(metricName, value, tags = {}) {
-  try {
-    const payload = {
-      series: [
-        {
-          metric: `llm_monitoring.${metricName}`,
-          points: [[Math.floor(Date.now() / 1000), value]],
-          type: 'gauge',
-          tags: Object.entries(tags).map(([k, v]) => `${k}:${v}`),
-        },
-      ],
-    };
+function tenantOf(data) {
+  return data.tenantId || DEFAULT_TENANT;
+}
 
-    await datadogAxios.post('/api/v1/series', payload);
-  } catch (error) {
-    console.error(`❌ Failed to send metric ${metricName}:`, error.message);
-  }
+/**
+ * Send metric to every telemetry sink
+ * type: count | gauge | distribution
+ */
+async function sendMetric(metricName, value, tags = {}, type = 'gauge') {
+  await getTelemetry().sendMetric(`${METRIC_PREFIX}${metricName}`, value, tags, type);
 }
 
 /**
- * Send event to Datadog
+ * Send event to every telemetry sink
  */
-async function sendEventToDatadog(eventData) {
+async function sendEvent(eventData) {
+  await getTelemetry().sendEvent(eventData);
+}
+
+const metric = (name, value, tags, type) => ({ kind: 'metric', name, value, tags, type });
+const event = data => ({ kind: 'event', data });
+
+/**
+ * Send one telemetry item built by the handlers below to the sinks that
+ * have not accepted it yet. On a partial failure only the failed sinks
+ * stay owed, so a retry does not send the item twice to the others.
+ */
+async function deliver(item) {
+  const sinks = getTelemetry().select(item.owedBy);
   try {
-    const payload = {
-      title: eventData.title,
-      text: eventData.description,
-      tags: eventData.tags || [],
-      alert_type: eventData.severity || 'info',
-      priority: eventData.priority,
-    };
-
-    await datadogAxios.post('/api/v1/events', payload);
+    if (item.kind === 'metric') {
+      await sinks.sendMetric(`${METRIC_PREFIX}${item.name}`, item.value, item.tags, item.type);
+    } else {
+      await sinks.sendEvent(item.data);
+    }
+    item.owedBy = [];
   } catch (error) {
-    console.error('❌ Failed to send event to Datadog:', error.message);
+    if (error.failedSinks) item.owedBy = error.failedSinks;
+    throw error;
   }
 }
 
 /**
- * Process LLM request message
+ * Telemetry for an LLM request message
  */
-async function processRequest(message) {
-  try {
-    const data = JSON.parse(message.value.toString());
-    
-    // Send metrics to Datadog
-    await sendMetricToDatadog('request_count', 1, {
+function processRequest(data) {
+  const items = [
+    metric('request_count', 1, {
+      tenant: tenantOf(data),
       user_id: data.userId,
       model: data.model,
-    });
+    }, 'count'),
+  ];
 
-    if (data.tokenCount) {
-      await sendMetricToDatadog('token_usage', data.tokenCount, {
-        model: data.model,
-      });
-    }
+  if (data.tokenCount) {
+    items.push(metric('token_usage', data.tokenCount, {
+      tenant: tenantOf(data),
+      model: data.model,
+    }, 'distribution'));
+  }
 
-    if (data.cost) {
-      await sendMetricToDatadog('request_cost', data.cost, {
-        model: data.model,
-      });
-    }
+  if (data.cost) {
+    items.push(metric('request_cost', data.cost, {
+      tenant: tenantOf(data),
+      model: data.model,
+    }, 'count'));
+  }
 
-    // Send event for tracking
-    if (data.priority === 'high') {
-      await sendEventToDatadog({
-        title: 'High Priority LLM Request',
-        description: `Request from ${data.userId}: ${data.prompt?.substring(0, 100)}...`,
-        tags: [`user:${data.userId}`, `model:${data.model}`],
-        priority: 'normal',
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error processing request:', error.message);
+  // Event for tracking; clients flag priority in the request metadata
+  if (data.metadata && data.metadata.priority === 'high') {
+    items.push(event({
+      title: 'High Priority LLM Request',
+      description: `Request from ${data.userId}: ${data.prompt?.substring(0, 100)}...`,
+      tags: [`tenant:${tenantOf(data)}`, `user:${data.userId}`, `model:${data.model}`],
+      priority: 'normal',
+    }));
   }
+
+  return items;
 }
 
 /**
- * Process LLM response message
+ * Telemetry for an LLM response message
  */
-async function processResponse(message) {
-  try {
-    const data = JSON.parse(message.value.toString());
-    
-    // Send metrics
-    await sendMetricToDatadog('response_latency_ms', data.latencyMs, {
+function processResponse(data) {
+  const items = [];
+
+  if (data.latencyMs !== undefined) {
+    items.push(metric('response_latency_ms', data.latencyMs, {
+      tenant: tenantOf(data),
       model: data.model,
       status: data.status,
-    });
+    }, 'distribution'));
+  }
 
-    if (data.completionTokens) {
-      await sendMetricToDatadog('completion_tokens', data.completionTokens, {
-        model: data.model,
-      });
-    }
+  if (data.status === 'error') {
+    items.push(metric('response_error_count', 1, {
+      tenant: tenantOf(data),
+      model: data.model,
+      provider: data.provider,
+      error_type: data.error && data.error.type,
+    }, 'count'));
+  }
 
-    // Check for confidence/hallucination signals
-    if (data.confidenceScore !== undefined && data.confidenceScore < 0.5) {
-      await sendEventToDatadog({
-        title: 'Low Confidence Response Detected',
-        description: `Response confidence: ${data.confidenceScore}. Possible hallucination risk.`,
-        tags: ['anomaly:confidence', `model:${data.model}`],
-        severity: 'warning',
-        priority: 'normal',
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error processing response:', error.message);
+  if (data.completionTokens) {
+    items.push(metric('completion_tokens', data.completionTokens, {
+      tenant: tenantOf(data),
+      model: data.model,
+    }, 'distribution'));
+  }
+
+  // Check for confidence/hallucination signals
+  const { thresholds } = detectionPolicy.resolvePolicy({
+    model: data.model,
+    userId: data.userId,
+    tenantId: data.tenantId,
+  });
+  if (data.confidenceScore !== undefined && data.confidenceScore < thresholds.lowConfidenceEventScore) {
+    items.push(event({
+      title: 'Low Confidence Response Detected',
+      description: `Response confidence: ${data.confidenceScore}. Possible hallucination risk.`,
+      tags: ['anomaly:confidence', `tenant:${tenantOf(data)}`, `model:${data.model}`],
+      severity: 'warning',
+      priority: 'normal',
+    }));
   }
+
+  return items;
 }
 
 /**
- * Process anomaly message
+ * Telemetry for an anomaly message
  */
-async function processAnomaly(message) {
-  try {
-    const data = JSON.parse(message.value.toString());
-    
-    // Send metrics
-    await sendMetricToDatadog('anomaly_detected', 1, {
+function processAnomaly(data) {
+  return [
+    metric('anomaly_detected', 1, {
+      tenant: tenantOf(data),
       anomaly_type: data.type,
       severity: data.severity,
-    });
+    }, 'count'),
 
-    // Create critical event in Datadog
-    await sendEventToDatadog({
+    // Critical event
+    event({
       title: `Security Alert: ${data.type}`,
       description: data.description || `Anomaly detected: ${data.type}`,
       tags: [
+        `tenant:${tenantOf(data)}`,
         `anomaly:${data.type}`,
         `severity:${data.severity}`,
         `user:${data.userId}`,
       ],
       severity: data.severity === 'critical' ? 'error' : 'warning',
       priority: data.severity === 'critical' ? 'urgent' : 'normal',
-    });
-  } catch (error) {
-    console.error('❌ Error processing anomaly:', error.message);
-  }
+    }),
+  ];
 }
 
 /**
- * Process alert message
+ * Telemetry for an alert message
  */
-async function processAlert(message) {
-  try {
-    const data = JSON.parse(message.value.toString());
-    
-    // Send critical event
-    await sendEventToDatadog({
+function processAlert(data) {
+  return [
+    event({
       title: `🚨 CRITICAL: ${data.alertType}`,
       description: `${data.message}. Impact: ${data.impactDescription}`,
       tags: [
+        `tenant:${tenantOf(data)}`,
         `alert:${data.alertType}`,
         `priority:${data.priority}`,
       ],
       severity: 'error',
       priority: 'urgent',
-    });
+    }),
 
-    // Send metric for alert tracking
-    await sendMetricToDatadog('critical_alert_count', 1, {
+    // Metric for alert tracking
+    metric('critical_alert_count', 1, {
+      tenant: tenantOf(data),
       alert_type: data.alertType,
-    });
+    }, 'count'),
+  ];
+}
+
+// Each handler turns a message into the telemetry items to send
+const HANDLERS = {
+  'llm-requests': processRequest,
+  'llm-responses': processResponse,
+  'llm-anomalies': processAnomaly,
+  'llm-alerts': processAlert,
+};
+
+/**
+ * Decode a message against its topic's schema (upcasting legacy messages).
+ * Malformed JSON, an unsupported schema version or an invalid payload can
+ * never succeed, so they are not retried.
+ */
+function parseMessage(topic, message) {
+  try {
+    return decode(topic, message.value, message.headers);
   } catch (error) {
-    console.error('❌ Error processing alert:', error.message);
+    throw new PermanentError(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message);
   }
 }
 
 /**
- * Start consuming messages
+ * Identity used for deduplication. Requests and responses are unique per
+ * requestId; anomalies and alerts per request, type and publish time.
+ * Messages without any id are not deduplicated.
+ */
+function dedupKey(topic, data, message) {
+  const id = data.requestId || (message.key && message.key.toString());
+  if (!id) return null;
+  if (topic === 'llm-requests' || topic === 'llm-responses') {
+    return `${topic}|${id}`;
+  }
+  return [topic, id, data.type || data.alertType, data.timestamp].join('|');
+}
+
+/**
+ * Commit the offset after `message` (Kafka commits the next offset to read)
+ */
+async function commit(topic, partition, message) {
+  await consumer.commitOffsets([
+    { topic, partition, offset: (BigInt(message.offset) + 1n).toString() },
+  ]);
+}
+
+/**
+ * Publish a message that could not be processed to the dead-letter topic.
+ * If this fails the error propagates and the offset is not committed, so
+ * the message is redelivered rather than lost.
+ */
+async function sendToDeadLetter(record, error) {
+  await deadLetterProducer.send({
+    topic: DEAD_LETTER_TOPIC,
+    messages: [deadLetterMessage(record, error)],
+  });
+  console.error(`☠️  ${record.topic} [${record.partition}] offset ${record.message.offset} sent to ${DEAD_LETTER_TOPIC}: ${error.message}`);
+}
+
+/**
+ * Process one message: skip duplicates, send and flush its telemetry,
+ * retry failed sends with backoff (the only retry layer for per-message
+ * telemetry), dead-letter what cannot be processed, and commit only once
+ * the message has been handled one way or the other.
+ */
+async function handleMessage({ topic, partition, message, heartbeat }) {
+  console.log(`📨 Message from ${topic} [${partition}]`);
+
+  const handler = HANDLERS[topic];
+  if (!handler) {
+    console.log('Unknown topic:', topic);
+    await commit(topic, partition, message);
+    return;
+  }
+
+  let key = null;
+  try {
+    const data = parseMessage(topic, message);
+    key = dedupKey(topic, data, message);
+
+    if (key && processed.has(key)) {
+      console.log(`↩️  Skipping duplicate ${key}`);
+    } else {
+      // Retries resume at the first item not yet sent, and only to the sinks
+      // that failed it, so nothing is counted twice
+      const sinkNames = getTelemetry().sinks.map(sink => sink.name);
+      const pending = handler(data).map(item => ({ ...item, owedBy: sinkNames }));
+      let unflushed = sinkNames;
+      await withRetry(async () => {
+        while (pending.length > 0) {
+          await deliver(pending[0]);
+          pending.shift();
+        }
+        // Buffering sinks (Datadog) must deliver before the offset is committed
+        try {
+          await getTelemetry().select(unflushed).flush({ retries: 0 });
+          unflushed = [];
+        } catch (error) {
+          if (error.failedSinks) unflushed = error.failedSinks;
+          throw error;
+        }
+      }, {
+        retries: MAX_RETRIES,
+        baseDelayMs: RETRY_BASE_MS,
+        onRetry: async (error, attempt) => {
+          console.warn(`⚠️  Processing ${topic} offset ${message.offset} failed (attempt ${attempt}/${MAX_RETRIES + 1}): ${error.message}`);
+          // Keep the group session alive while backing off
+          await heartbeat();
+        },
+      });
+      if (key) processed.add(key);
+    }
+  } catch (error) {
+    await sendToDeadLetter({ topic, partition, message }, error);
+    // Dead-lettered messages count as handled; a redelivery goes straight past
+    if (key) processed.add(key);
+  }
+
+  await commit(topic, partition, message);
+}
+
+/**
+ * Start consuming messages. Offsets are committed manually after each
+ * message is processed or dead-lettered.
  */
 async function startConsuming() {
   try {
     await consumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
-        console.log(`📨 Message from ${topic} [${partition}]`);
-        
-        switch (topic) {
-          case 'llm-requests':
-            await processRequest(message);
-            break;
-          case 'llm-responses':
-            await processResponse(message);
-            break;
-          case 'llm-anomalies':
-            await processAnomaly(message);
-            break;
-          case 'llm-alerts':
-            await processAlert(message);
-            break;
-          default:
-            console.log('Unknown topic:', topic);
-        }
-      },
+      autoCommit: false,
+      eachMessage: handleMessage,
     });
     console.log('✅ Consumer running...');
   } catch (error) {
@@ -264,7 +395,12 @@ async function startConsuming() {
 async function disconnect() {
   try {
     await consumer.disconnect();
+    await deadLetterProducer.disconnect();
     console.log('✅ Consumer disconnected');
+    if (telemetry) {
+      await telemetry.close();
+      telemetry = null;
+    }
   } catch (error) {
     console.error('❌ Error disconnecting consumer:', error.message);
   }
@@ -274,6 +410,6 @@ module.exports = {
   initialize,
   startConsuming,
   disconnect,
-  sendMetricToDatadog,
-  sendEventToDatadog,
+  sendMetric,
+  sendEvent,
 };
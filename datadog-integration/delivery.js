@@ -0,0 +1,98 @@
+/**
+ * Message Delivery
+ * Building blocks for at-least-once processing in the consumer: retry with
+ * backoff, a bounded dedup cache and dead-letter records.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Thrown for messages that can never succeed (e.g. malformed JSON);
+ * they go straight to the dead-letter topic without retries
+ */
+class PermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentError';
+  }
+}
+
+/**
+ * Bounded set that forgets the least recently seen keys first
+ */
+function createDedupCache(maxSize) {
+  const keys = new Map();
+
+  return {
+    has(key) {
+      if (!keys.has(key)) return false;
+      // Refresh recency
+      keys.delete(key);
+      keys.set(key, true);
+      return true;
+    },
+    add(key) {
+      keys.delete(key);
+      keys.set(key, true);
+      if (keys.size > maxSize) {
+        keys.delete(keys.keys().next().value);
+      }
+    },
+    get size() {
+      return keys.size;
+    },
+  };
+}
+
+/**
+ * Run `fn` until it succeeds, retrying with exponential backoff.
+ * `onRetry(error, attempt)` runs before each wait (e.g. to heartbeat).
+ * PermanentErrors are not retried. Returns the number of attempts made.
+ */
+async function withRetry(fn, { retries, baseDelayMs, onRetry = () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fn();
+      return attempt;
+    } catch (error) {
+      error.attempts = attempt;
+      if (error instanceof PermanentError || attempt > retries) throw error;
+
+      await onRetry(error, attempt);
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Kafka message for the dead-letter topic, carrying the original message
+ * and why it failed
+ */
+function deadLetterMessage({ topic, partition, message }, error) {
+  const reason = error.message || String(error);
+
+  return {
+    key: message.key,
+    value: JSON.stringify({
+      originalTopic: topic,
+      partition,
+      offset: message.offset,
+      key: message.key ? message.key.toString() : null,
+      value: message.value ? message.value.toString() : null,
+      error: { name: error.name, message: reason },
+      attempts: error.attempts || 1,
+      failedAt: new Date().toISOString(),
+    }),
+    headers: {
+      'x-original-topic': topic,
+      'x-error': reason.substring(0, 200),
+    },
+  };
+}
+
+module.exports = {
+  createDedupCache,
+  withRetry,
+  deadLetterMessage,
+  PermanentError,
+};
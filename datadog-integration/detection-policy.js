@@ -0,0 +1,315 @@
+/**
+ * Detection Policy
+ * Loads the declarative detection policy (thresholds, severities, enabled
+ * detectors and alert escalation) and reloads it when the file changes.
+ *
+ * Environment:
+ *   DETECTION_POLICY_PATH   Policy file; .yaml/.yml files are read as YAML,
+ *                           anything else as JSON (default: ./detection-policy.json)
+ *   DETECTION_POLICY_WATCH  Set to "false" to disable hot reload
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'detection-policy.json');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Alert priorities accepted by the llm-alerts schema
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const DETECTORS = [
+  'PII_IN_REQUEST',
+  'PII_LEAKAGE',
+  'TOXIC_CONTENT',
+  'PROMPT_INJECTION',
+  'TOKEN_ANOMALY',
+  'COST_ANOMALY',
+  'COST_MISMATCH',
+  'PERFORMANCE_DEGRADATION',
+  'HALLUCINATION',
+  'ERROR_SPIKE',
+];
+
+const THRESHOLDS = [
+  'tokenSpikeRatio',
+  'tokenElevatedRatio',
+  'costThreshold',
+  'costSpikeRatio',
+  'costMismatchTolerance',
+  'latencyTimeoutMs',
+  'latencySpikeRatio',
+  'latencyElevatedRatio',
+  'minConfidenceScore',
+  'piiHighConfidence',
+  'piiMediumConfidence',
+  'zScoreLimit',
+  'lowConfidenceEventScore',
+  'errorCountLimit',
+  'errorRateLimit',
+  'errorRateMinCalls',
+  'errorWindowMinutes',
+];
+
+let currentPolicy = null;
+let currentPath = null;
+let watching = false;
+
+/**
+ * Validate one policy section (defaults or an override).
+ * Defaults must be complete; overrides may be partial.
+ */
+function validateSection(section, where, complete, errors) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+
+  for (const key of Object.keys(section)) {
+    if (!['detectors', 'thresholds', 'escalation'].includes(key)) {
+      errors.push(`${where}.${key} is not a recognised section`);
+    }
+  }
+
+  const detectors = section.detectors || {};
+  for (const [name, config] of Object.entries(detectors)) {
+    if (!DETECTORS.includes(name)) {
+      errors.push(`${where}.detectors.${name} is not a known detector`);
+      continue;
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push(`${where}.detectors.${name} must be an object`);
+      continue;
+    }
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+      errors.push(`${where}.detectors.${name}.enabled must be a boolean`);
+    }
+    for (const field of ['severity', 'elevatedSeverity']) {
+      if (config[field] !== undefined && !SEVERITIES.includes(config[field])) {
+        errors.push(`${where}.detectors.${name}.${field} must be one of ${SEVERITIES.join(', ')}`);
+      }
+    }
+  }
+
+  const thresholds = section.thresholds || {};
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (!THRESHOLDS.includes(name)) {
+      errors.push(`${where}.thresholds.${name} is not a known threshold`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${where}.thresholds.${name} must be a non-negative number`);
+    }
+  }
+
+  const escalation = section.escalation || {};
+  if (escalation.alertSeverities !== undefined) {
+    if (!Array.isArray(escalation.alertSeverities) ||
+        escalation.alertSeverities.some(s => !SEVERITIES.includes(s))) {
+      errors.push(`${where}.escalation.alertSeverities must be a list of severities`);
+    }
+  }
+  for (const [severity, priority] of Object.entries(escalation.priorities || {})) {
+    if (!SEVERITIES.includes(severity)) {
+      errors.push(`${where}.escalation.priorities.${severity} is not a severity`);
+    } else if (!PRIORITIES.includes(priority)) {
+      errors.push(`${where}.escalation.priorities.${severity} must be one of ${PRIORITIES.join(', ')}`);
+    }
+  }
+  if (escalation.groupWindowMinutes !== undefined &&
+      (typeof escalation.groupWindowMinutes !== 'number' || escalation.groupWindowMinutes < 0)) {
+    errors.push(`${where}.escalation.groupWindowMinutes must be a non-negative number`);
+  }
+  if (escalation.escalateAtOccurrences !== undefined) {
+    const steps = escalation.escalateAtOccurrences;
+    if (!Array.isArray(steps) || steps.some(n => !Number.isInteger(n) || n < 2)) {
+      errors.push(`${where}.escalation.escalateAtOccurrences must be a list of integers >= 2`);
+    }
+  }
+
+  if (complete) {
+    for (const name of DETECTORS) {
+      const config = detectors[name];
+      if (!config || config.enabled === undefined || !config.severity) {
+        errors.push(`${where}.detectors.${name} needs enabled and severity`);
+      }
+    }
+    for (const name of THRESHOLDS) {
+      if (thresholds[name] === undefined) {
+        errors.push(`${where}.thresholds.${name} is required`);
+      }
+    }
+    for (const field of ['alertSeverities', 'priorities', 'groupWindowMinutes', 'escalateAtOccurrences']) {
+      if (escalation[field] === undefined) {
+        errors.push(`${where}.escalation.${field} is required`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed policy, returning a list of problems
+ */
+function validatePolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object') {
+    return ['policy must be an object'];
+  }
+  if (policy.version !== 1) {
+    errors.push('version must be 1');
+  }
+
+  validateSection(policy.defaults, 'defaults', true, errors);
+
+  for (const scope of ['tenants', 'models', 'users']) {
+    const overrides = policy[scope] || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push(`${scope} must be an object`);
+      continue;
+    }
+    for (const [id, section] of Object.entries(overrides)) {
+      validateSection(section, `${scope}.${id}`, false, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse policy file contents: YAML for .yaml/.yml files, JSON otherwise
+ */
+function parsePolicy(filePath, contents) {
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.yaml' || extension === '.yml'
+    ? YAML.parse(contents)
+    : JSON.parse(contents);
+}
+
+/**
+ * Read, parse and validate a policy file. Throws on invalid policy.
+ */
+function readPolicyFile(filePath) {
+  const policy = parsePolicy(filePath, fs.readFileSync(filePath, 'utf8'));
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid detection policy ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Load the policy file and make it the active policy
+ */
+function loadPolicy(filePath = process.env.DETECTION_POLICY_PATH || DEFAULT_POLICY_PATH) {
+  currentPolicy = readPolicyFile(filePath);
+  currentPath = filePath;
+  console.log(`📋 Detection policy loaded: ${filePath}`);
+  return currentPolicy;
+}
+
+/**
+ * Reload the active policy file, keeping the previous policy if it is invalid
+ */
+function reloadPolicy() {
+  try {
+    currentPolicy = readPolicyFile(currentPath);
+    console.log(`🔄 Detection policy reloaded: ${currentPath}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Detection policy reload rejected, keeping previous policy:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Watch the active policy file and reload it on change
+ */
+function watchPolicy(intervalMs = 2000) {
+  if (watching || !currentPath) return;
+
+  const watcher = fs.watchFile(currentPath, { interval: intervalMs }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadPolicy();
+  });
+  watcher.unref();
+  watching = true;
+}
+
+/**
+ * Stop watching the policy file
+ */
+function unwatchPolicy() {
+  if (!watching) return;
+  fs.unwatchFile(currentPath);
+  watching = false;
+}
+
+/**
+ * Get the active policy, loading it on first use
+ */
+function getPolicy() {
+  if (!currentPolicy) {
+    loadPolicy();
+    if (process.env.DETECTION_POLICY_WATCH !== 'false') {
+      watchPolicy();
+    }
+  }
+  return currentPolicy;
+}
+
+/**
+ * Merge an override section onto a resolved section
+ */
+function mergeSection(base, override = {}) {
+  const detectors = { ...base.detectors };
+  for (const [name, config] of Object.entries(override.detectors || {})) {
+    detectors[name] = { ...detectors[name], ...config };
+  }
+
+  return {
+    detectors,
+    thresholds: { ...base.thresholds, ...override.thresholds },
+    escalation: {
+      ...base.escalation,
+      ...override.escalation,
+      priorities: {
+        ...base.escalation.priorities,
+        ...(override.escalation && override.escalation.priorities),
+      },
+    },
+  };
+}
+
+/**
+ * Resolve the effective policy for a message.
+ * Precedence: defaults < tenant override < model override < user override
+ */
+function resolvePolicy({ model, userId, tenantId } = {}) {
+  const policy = getPolicy();
+
+  let resolved = mergeSection(policy.defaults);
+  if (tenantId && policy.tenants && policy.tenants[tenantId]) {
+    resolved = mergeSection(resolved, policy.tenants[tenantId]);
+  }
+  if (model && policy.models && policy.models[model]) {
+    resolved = mergeSection(resolved, policy.models[model]);
+  }
+  if (userId && policy.users && policy.users[userId]) {
+    resolved = mergeSection(resolved, policy.users[userId]);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  getPolicy,
+  loadPolicy,
+  reloadPolicy,
+  resolvePolicy,
+  validatePolicy,
+  watchPolicy,
+  unwatchPolicy,
+  SEVERITIES,
+  PRIORITIES,
+  DETECTORS,
+};
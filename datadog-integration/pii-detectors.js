@@ -0,0 +1,241 @@
+/**
+ * PII Detectors
+ * Pattern + validator pairs for each PII type. Validators reject false
+ * positives (Luhn, IBAN mod-97, address ranges, ...) and return a
+ * confidence between 0 and 1 for the matches they keep.
+ */
+
+const net = require('net');
+
+/**
+ * Check whether one of the keywords appears shortly before a match
+ */
+function hasContext(text, start, keywords, window = 40) {
+  const before = text.substring(Math.max(0, start - window), start).toLowerCase();
+  return keywords.some(keyword => before.includes(keyword));
+}
+
+/**
+ * Luhn checksum used by payment card numbers
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * IBAN mod-97 check (ISO 13616)
+ */
+function ibanValid(iban) {
+  const compact = iban.replace(/\s/g, '').toUpperCase();
+  if (compact.length < 15 || compact.length > 34) return false;
+
+  const rearranged = compact.substring(4) + compact.substring(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? (char.charCodeAt(0) - 55).toString() : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Decode a base64url JSON segment, or null
+ */
+function decodeJsonSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Words that introduce a version number rather than an IP address
+const VERSION_CONTEXT = /\b(?:v|ver|version|release|build|rev|revision|firmware|update)\.?\s*[:#]?\s*$/i;
+
+// Card prefixes of the major networks (Visa, Mastercard, Amex, Discover)
+const CARD_PREFIX = /^(?:4|5[1-5]|2(?:2[2-9]|[3-6]\d|7[01]|720)|3[47]|6(?:011|5))/;
+
+/**
+ * Detector definitions. When a pattern has a capture group, only the group
+ * is reported (e.g. the value after "api_key=").
+ */
+const PII_DETECTORS = [
+  {
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    validate: () => 0.95,
+  },
+  {
+    type: 'PHONE',
+    pattern: /(?<![\w.-])(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s])\d{3}[-.\s]\d{4}(?![\w-])/g,
+    validate(value, text, start) {
+      const digits = value.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+      // NANP: area code and exchange cannot start with 0 or 1
+      if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return 0;
+      return hasContext(text, start, ['phone', 'call', 'tel', 'mobile', 'cell', 'fax']) ? 0.9 : 0.65;
+    },
+  },
+  {
+    type: 'SSN',
+    pattern: /\b(?!000|666|9\d{2})\d{3}-(?!00)\d{2}-(?!0{4})\d{4}\b/g,
+    validate(value, text, start) {
+      // The dashed 3-2-4 shape with valid area, group and serial numbers is
+      // specific enough to block on without a nearby keyword
+      return hasContext(text, start, ['ssn', 'social security']) ? 0.98 : 0.92;
+    },
+  },
+  {
+    type: 'CREDIT_CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate(value) {
+      const digits = value.replace(/\D/g, '');
+      if (!luhnValid(digits)) return 0;
+      return CARD_PREFIX.test(digits) ? 0.95 : 0.6;
+    },
+  },
+  {
+    type: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: value => (ibanValid(value) ? 0.95 : 0),
+  },
+  {
+    type: 'IP_ADDRESS',
+    pattern: /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?![\w.])/g,
+    validate(value, text, start) {
+      if (!net.isIPv4(value)) return 0;
+      // Dotted version numbers ("version 1.2.3.4", "build 10.0.19041.1") are not addresses
+      if (VERSION_CONTEXT.test(text.substring(Math.max(0, start - 20), start))) return 0;
+      // Private, loopback and link-local addresses identify nobody in particular
+      return /^(?:10\.|127\.|192\.168\.|169\.254\.|172\.(?:1[6-9]|2\d|3[01])\.)/.test(value) ? 0.4 : 0.8;
+    },
+  },
+  {
+    type: 'IP_ADDRESS',
+    pattern: /(?<![\w:])(?:[A-Fa-f0-9]{0,4}:){2,7}[A-Fa-f0-9]{0,4}(?![\w:])/g,
+    validate(value) {
+      if (!net.isIPv6(value) || value === '::') return 0;
+      return value === '::1' ? 0.4 : 0.85;
+    },
+  },
+  {
+    type: 'AWS_ACCESS_KEY',
+    pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+    validate: () => 0.95,
+  },
+  {
+    type: 'AWS_SECRET_KEY',
+    pattern: /aws_?secret_?(?:access_?)?key\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})\b/gi,
+    validate: () => 0.9,
+  },
+  {
+    type: 'GCP_API_KEY',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![\w-])/g,
+    validate: () => 0.95,
+  },
+  {
+    type: 'GITHUB_TOKEN',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g,
+    validate: () => 0.98,
+  },
+  {
+    type: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+    validate(value) {
+      const header = decodeJsonSegment(value.split('.')[0]);
+      return header && header.alg ? 0.95 : 0.6;
+    },
+  },
+  {
+    type: 'PRIVATE_KEY',
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g,
+    validate: () => 0.99,
+  },
+  {
+    type: 'API_KEY',
+    pattern: /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}\b|\bsk-[A-Za-z0-9_-]{20,}/g,
+    validate: () => 0.9,
+  },
+  {
+    type: 'API_KEY',
+    pattern: /\b(?:api[_-]?key|access[_-]?token|secret[_-]?key)\b\s*[:=]\s*['"]?([A-Za-z0-9_\-.]{16,})/gi,
+    validate(value) {
+      // Require a mix of letters and digits so prose and placeholders are ignored
+      return /[A-Za-z]/.test(value) && /\d/.test(value) ? 0.8 : 0;
+    },
+  },
+  {
+    type: 'PASSPORT',
+    pattern: /passport\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z]{0,2}\d{6,9})\b/gi,
+    validate: () => 0.85,
+  },
+  {
+    type: 'DRIVERS_LICENSE',
+    pattern: /(?:driver'?s?\s*licen[sc]e|\bDL)\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z]{0,2}\d[A-Z0-9-]{4,14})\b/gi,
+    validate: () => 0.8,
+  },
+];
+
+const PII_TYPES = [...new Set(PII_DETECTORS.map(detector => detector.type))];
+
+/**
+ * Keep the most confident match where matches overlap
+ */
+function resolveOverlaps(matches) {
+  const ranked = [...matches].sort((a, b) =>
+    b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start)
+  );
+  const kept = [];
+
+  for (const match of ranked) {
+    if (!kept.some(other => match.start < other.end && other.start < match.end)) {
+      kept.push(match);
+    }
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Scan text with every detector.
+ * Returns non-overlapping matches with the raw value and a confidence.
+ */
+function scanPII(text) {
+  if (!text) return [];
+
+  const matches = [];
+  for (const detector of PII_DETECTORS) {
+    const pattern = new RegExp(detector.pattern.source, `${detector.pattern.flags}d`);
+
+    for (const match of text.matchAll(pattern)) {
+      const [start, end] = match.indices[1] || match.indices[0];
+      const value = text.substring(start, end);
+      const confidence = detector.validate(value, text, match.index);
+
+      if (confidence > 0) {
+        matches.push({ type: detector.type, start, end, value, confidence });
+      }
+    }
+  }
+
+  return resolveOverlaps(matches);
+}
+
+module.exports = {
+  scanPII,
+  luhnValid,
+  ibanValid,
+  PII_DETECTORS,
+  PII_TYPES,
+};
@@ -0,0 +1,167 @@
+/**
+ * PII Redaction
+ * Rewrites detected PII before payloads leave the backend.
+ *
+ * Strategies:
+ *   mask      Replace the value with a type placeholder ([REDACTED_EMAIL])
+ *   partial   Keep the last few characters (***-**-*789, j***@example.com)
+ *   tokenize  Replace with a reversible encrypted token, bound to the
+ *             tenant it was issued for (see detokenize)
+ *
+ * Environment:
+ *   PII_REDACTION_MODE     off | mask | partial | tokenize (default: off)
+ *   PII_TOKENIZATION_KEY   Secret used to encrypt tokens; tokens can only be
+ *                          reversed with the same key
+ */
+
+const crypto = require('crypto');
+const anomalyDetector = require('./anomaly-detector');
+
+const STRATEGIES = ['mask', 'partial', 'tokenize'];
+const TOKEN_PATTERN = /\[PII_TOKEN:([A-Z_]+):([A-Za-z0-9_-]+)\]/g;
+
+let tokenizationKey = null;
+
+/**
+ * Derive the AES key used for reversible tokens
+ */
+function getTokenizationKey() {
+  if (!tokenizationKey) {
+    let secret = process.env.PII_TOKENIZATION_KEY;
+    if (!secret) {
+      console.warn('⚠️  PII_TOKENIZATION_KEY not set, tokens will only be reversible in this process');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+    tokenizationKey = crypto.createHash('sha256').update(secret).digest();
+  }
+  return tokenizationKey;
+}
+
+/**
+ * Mask all but the last `keep` alphanumeric characters, preserving separators
+ */
+function maskAllButLast(value, keep) {
+  let remaining = value.replace(/[^A-Za-z0-9]/g, '').length - keep;
+  return value.replace(/[A-Za-z0-9]/g, char => (remaining-- > 0 ? '*' : char));
+}
+
+/**
+ * Partially mask a value, keeping enough to recognise it
+ */
+function partialMask(type, value) {
+  if (type === 'EMAIL') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+  }
+  return maskAllButLast(value, Math.min(4, Math.floor(value.length / 3)));
+}
+
+/**
+ * Encrypt a value into a reversible token. The tenant is authenticated
+ * with the token, so it only decrypts for the same tenant.
+ */
+function tokenize(type, value, tenantId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTokenizationKey(), iv);
+  cipher.setAAD(Buffer.from(tenantId || ''));
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+  return `[PII_TOKEN:${type}:${payload}]`;
+}
+
+/**
+ * Replace reversible tokens issued for a tenant with their original values.
+ * Returns the text and the number of tokens reversed.
+ */
+function detokenize(text, { tenantId } = {}) {
+  if (!text) return { text, detokenized: 0 };
+
+  let detokenized = 0;
+  const output = text.replace(TOKEN_PATTERN, (token, type, payload) => {
+    try {
+      const data = Buffer.from(payload, 'base64url');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getTokenizationKey(), data.subarray(0, 12));
+      decipher.setAAD(Buffer.from(tenantId || ''));
+      decipher.setAuthTag(data.subarray(12, 28));
+      const value = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+      detokenized++;
+      return value;
+    } catch (error) {
+      // Token from another key or tenant, or tampered with; leave it in place
+      return token;
+    }
+  });
+
+  return { text: output, detokenized };
+}
+
+/**
+ * Redact PII in text
+ * Returns the rewritten text and one entry per redacted span
+ * (offsets refer to the original text)
+ */
+function redactPII(text, { strategy = 'mask', tenantId } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown redaction strategy: ${strategy}`);
+  }
+  if (!text) return { text, redactions: [] };
+
+  const matches = anomalyDetector.findPIIMatches(text);
+  const redactions = [];
+  let output = '';
+  let cursor = 0;
+
+  for (const match of matches) {
+    let replacement;
+    switch (strategy) {
+      case 'partial':
+        replacement = partialMask(match.type, match.value);
+        break;
+      case 'tokenize':
+        replacement = tokenize(match.type, match.value, tenantId);
+        break;
+      default:
+        replacement = `[REDACTED_${match.type}]`;
+    }
+
+    output += text.substring(cursor, match.start) + replacement;
+    cursor = match.end;
+    redactions.push({
+      type: match.type,
+      start: match.start,
+      end: match.end,
+      hash: anomalyDetector.hashPIIValue(match.value),
+    });
+  }
+
+  return { text: output + text.substring(cursor), redactions };
+}
+
+/**
+ * Configured redaction mode, or null when redaction is off.
+ * Throws for an unknown mode; call at startup to fail fast.
+ */
+function getRedactionMode() {
+  const mode = process.env.PII_REDACTION_MODE || 'off';
+  if (mode !== 'off' && !STRATEGIES.includes(mode)) {
+    throw new Error(`Unknown PII_REDACTION_MODE: ${mode} (expected: off, ${STRATEGIES.join(', ')})`);
+  }
+  return mode === 'off' ? null : mode;
+}
+
+/**
+ * Redact text with the configured mode; returns the text unchanged when off
+ */
+function applyConfiguredRedaction(text, { tenantId } = {}) {
+  const strategy = getRedactionMode();
+  if (!strategy) return { text, redactions: [] };
+  return redactPII(text, { strategy, tenantId });
+}
+
+module.exports = {
+  redactPII,
+  detokenize,
+  applyConfiguredRedaction,
+  getRedactionMode,
+  STRATEGIES,
+};
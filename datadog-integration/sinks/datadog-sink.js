@@ -0,0 +1,304 @@
+/**
+ * Datadog sink
+ * Buffers metric points in process and submits them to the Datadog HTTP API
+ * in batches, when the buffer reaches the batch size or on the flush
+ * interval. Counts and gauges go to /api/v1/series with their real type;
+ * distributions go to /api/v1/distribution_points. Points with the same
+ * metric and tags are merged within a batch (counts summed, last gauge
+ * kept, distribution values collected).
+ *
+ * Failed metric submissions are retried with exponential backoff on 429,
+ * 5xx and network errors. When retries run out the points go back into the
+ * buffer and flush() rejects, so a caller that flushes before committing
+ * (the consumer) knows its points have not been delivered yet. Points
+ * Datadog rejects outright (other 4xx), or that overflow the buffer, are
+ * counted as dropped; overflow is logged once per flush rather than per
+ * point. Events are sent once, and the consumer flushes with no retries:
+ * it retries the message itself, so retrying here too would multiply the
+ * attempts and could outlast the consumer group session.
+ *
+ * Environment:
+ *   DATADOG_API_KEY, DATADOG_APP_KEY
+ *   DATADOG_SITE                Datadog site, e.g. datadoghq.eu (default: us5.datadoghq.com)
+ *   DATADOG_API_URL             Full API base URL; overrides DATADOG_SITE (e.g. a mock server)
+ *   DATADOG_BATCH_SIZE          Points per flush trigger (default: 500)
+ *   DATADOG_FLUSH_INTERVAL_MS   Flush interval (default: 10000)
+ *   DATADOG_MAX_BUFFERED_POINTS Points kept while Datadog is unreachable (default: 10000)
+ *   DATADOG_MAX_RETRIES         Retries per submission (default: 5)
+ */
+
+const axios = require('axios');
+
+const DATADOG_API = process.env.DATADOG_API_URL || (process.env.DATADOG_SITE
+  ? `https://api.${process.env.DATADOG_SITE}`
+  : 'https://api.us5.datadoghq.com');
+
+const BATCH_SIZE = parseInt(process.env.DATADOG_BATCH_SIZE || '500', 10);
+const FLUSH_INTERVAL_MS = parseInt(process.env.DATADOG_FLUSH_INTERVAL_MS || '10000', 10);
+const MAX_BUFFERED_POINTS = parseInt(process.env.DATADOG_MAX_BUFFERED_POINTS || '10000', 10);
+const MAX_RETRIES = parseInt(process.env.DATADOG_MAX_RETRIES || '5', 10);
+
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry `attempt` (0-based): exponential with jitter, or the
+ * server's Retry-After when it sends one
+ */
+function backoffDelay(attempt, error) {
+  const retryAfter = error.response && Number(error.response.headers['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+
+  const exponential = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Merge buffered points into Datadog series and distribution payloads
+ */
+function buildPayloads(points) {
+  const series = new Map();
+  const distributions = new Map();
+
+  for (const point of points) {
+    const key = `${point.name}|${point.tags.join(',')}`;
+
+    if (point.type === 'distribution') {
+      const entry = distributions.get(key) || { metric: point.name, tags: point.tags, values: [], timestamp: point.timestamp };
+      entry.values.push(point.value);
+      distributions.set(key, entry);
+      continue;
+    }
+
+    const existing = series.get(`${point.type}|${key}`);
+    if (existing && point.type === 'count') {
+      existing.points[0][1] += point.value;
+    } else {
+      series.set(`${point.type}|${key}`, {
+        metric: point.name,
+        type: point.type,
+        points: [[point.timestamp, point.value]],
+        tags: point.tags,
+      });
+    }
+  }
+
+  return {
+    series: [...series.values()],
+    distributions: [...distributions.values()].map(entry => ({
+      metric: entry.metric,
+      points: [[entry.timestamp, entry.values]],
+      tags: entry.tags,
+    })),
+  };
+}
+
+/**
+ * Create a Datadog sink
+ */
+function createDatadogSink({
+  baseURL = DATADOG_API,
+  batchSize = BATCH_SIZE,
+  flushIntervalMs = FLUSH_INTERVAL_MS,
+  maxBufferedPoints = MAX_BUFFERED_POINTS,
+  maxRetries = MAX_RETRIES,
+} = {}) {
+  const datadogAxios = axios.create({
+    baseURL,
+    timeout: 10000,
+    headers: {
+      'DD-API-KEY': process.env.DATADOG_API_KEY,
+      'DD-APPLICATION-KEY': process.env.DATADOG_APP_KEY,
+    },
+  });
+
+  let buffer = [];
+  let flushing = null;
+  // Points dropped for a full buffer since the last flush
+  let overflowed = 0;
+  const stats = { sentPoints: 0, droppedPoints: 0, retries: 0, failedEvents: 0 };
+
+  const timer = setInterval(() => {
+    flush().catch(error => console.error('❌ Datadog flush failed:', error.message));
+  }, flushIntervalMs);
+  timer.unref();
+
+  /**
+   * POST with up to `retries` retries. Throws the last error once retries
+   * are exhausted or the error is not retryable.
+   */
+  async function post(path, payload, describe, retries = maxRetries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await datadogAxios.post(path, payload);
+        return;
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= retries) {
+          const status = error.response ? ` (HTTP ${error.response.status})` : '';
+          console.error(`❌ Datadog rejected ${describe}${status}:`, error.message);
+          throw error;
+        }
+        stats.retries++;
+        await sleep(backoffDelay(attempt, error));
+      }
+    }
+  }
+
+  function warnDropped(count, reason) {
+    console.warn(`⚠️  Dropped ${count} Datadog points (${reason}); ${stats.droppedPoints} dropped in total`);
+  }
+
+  function drop(count, reason) {
+    stats.droppedPoints += count;
+    warnDropped(count, reason);
+  }
+
+  /**
+   * Put points that could not be delivered back at the front of the
+   * buffer, dropping the oldest beyond the buffer limit
+   */
+  function requeue(points) {
+    buffer = points.concat(buffer);
+    const excess = buffer.length - maxBufferedPoints;
+    if (excess > 0) {
+      buffer.splice(0, excess);
+      stats.droppedPoints += excess;
+      overflowed += excess;
+    }
+  }
+
+  /**
+   * Submit one payload. Returns the error if the points were requeued for
+   * a later flush.
+   */
+  async function submit(path, payload, points, describe, retries) {
+    try {
+      await post(path, payload, describe, retries);
+      stats.sentPoints += points.length;
+      return null;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        drop(points.length, `${describe} rejected`);
+        return null;
+      }
+      requeue(points);
+      return error;
+    }
+  }
+
+  /**
+   * Submit everything buffered so far, retrying up to `retries` times.
+   * A flush already in progress is waited for first. Rejects if points
+   * could not be delivered; they stay buffered for the next flush.
+   */
+  async function flush({ retries = maxRetries } = {}) {
+    while (flushing) {
+      await flushing.catch(() => {});
+    }
+    if (overflowed > 0) {
+      warnDropped(overflowed, 'buffer full');
+      overflowed = 0;
+    }
+    if (buffer.length === 0) return;
+
+    const points = buffer;
+    buffer = [];
+
+    flushing = (async () => {
+      const { series, distributions } = buildPayloads(points);
+      const seriesPoints = points.filter(point => point.type !== 'distribution');
+      const distributionPoints = points.filter(point => point.type === 'distribution');
+      const errors = [];
+
+      if (series.length > 0) {
+        errors.push(await submit('/api/v1/series', { series }, seriesPoints, `${series.length} series`, retries));
+      }
+      if (distributions.length > 0) {
+        errors.push(await submit('/api/v1/distribution_points', { series: distributions }, distributionPoints,
+          `${distributions.length} distributions`, retries));
+      }
+
+      const error = errors.find(Boolean);
+      if (error) {
+        throw new Error(`Datadog flush failed, ${buffer.length} points kept for the next flush: ${error.message}`);
+      }
+    })();
+
+    try {
+      await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  async function sendMetric(name, value, tags = {}, type = 'gauge') {
+    buffer.push({
+      name,
+      value,
+      type,
+      timestamp: Math.floor(Date.now() / 1000),
+      tags: Object.entries(tags).map(([k, v]) => `${k}:${v}`).sort(),
+    });
+
+    if (buffer.length > maxBufferedPoints) {
+      buffer.shift();
+      stats.droppedPoints++;
+      overflowed++;
+    }
+    // Flush in the background so a slow Datadog does not hold up the consumer
+    if (buffer.length >= batchSize) {
+      flush().catch(error => console.error('❌ Datadog flush failed:', error.message));
+    }
+  }
+
+  async function sendEvent(event) {
+    const payload = {
+      title: event.title,
+      text: event.description,
+      tags: event.tags || [],
+      alert_type: event.severity || 'info',
+      priority: event.priority,
+    };
+
+    try {
+      await post('/api/v1/events', payload, `event "${event.title}"`, 0);
+    } catch (error) {
+      stats.failedEvents++;
+      throw new Error(`Datadog event "${event.title}" was not delivered`);
+    }
+  }
+
+  async function close() {
+    clearInterval(timer);
+    try {
+      await flush();
+    } catch (error) {
+      drop(buffer.length, 'undelivered at close');
+      buffer = [];
+    }
+    console.log(`📤 Datadog sink closed: ${stats.sentPoints} points sent, ${stats.droppedPoints} dropped`);
+  }
+
+  return {
+    name: 'datadog',
+    sendMetric,
+    sendEvent,
+    flush,
+    close,
+    stats: () => ({ ...stats, bufferedPoints: buffer.length }),
+  };
+}
+
+module.exports = { createDatadogSink };
@@ -0,0 +1,107 @@
+/**
+ * Telemetry sinks
+ * Every sink implements:
+ *
+ *   name                                    Sink name used in logs
+ *   sendMetric(name, value, tags, type)     tags: { key: value }; type: count | gauge | distribution
+ *   sendEvent({ title, description, tags, severity, priority })   tags: ['key:value']
+ *   flush({ retries })                      Deliver anything buffered; rejects if it could not
+ *   close()                                 Flush and release resources
+ *
+ * createSinks() fans out to every configured sink; one failing sink does
+ * not stop the others. A call rejects with a SinkDeliveryError naming the
+ * failed sinks if any sink failed, and select() narrows the fan-out to
+ * those sinks, so the consumer can retry just them.
+ *
+ * Environment:
+ *   TELEMETRY_SINKS  Comma-separated: datadog, jsonl, webhook, statsd (default: datadog)
+ */
+
+const { createDatadogSink } = require('./datadog-sink');
+const { createJsonlSink } = require('./jsonl-sink');
+const { createWebhookSink } = require('./webhook-sink');
+const { createStatsdSink } = require('./statsd-sink');
+
+const SINK_FACTORIES = {
+  datadog: createDatadogSink,
+  jsonl: createJsonlSink,
+  webhook: createWebhookSink,
+  statsd: createStatsdSink,
+};
+
+/**
+ * Thrown when one or more sinks failed a call; `failedSinks` names them
+ */
+class SinkDeliveryError extends Error {
+  constructor(describe, failures, total) {
+    super(`${failures.length} of ${total} telemetry sinks failed to ${describe}: ${
+      failures.map(failure => `${failure.sink} (${failure.error.message})`).join(', ')}`);
+    this.name = 'SinkDeliveryError';
+    this.failedSinks = failures.map(failure => failure.sink);
+    this.failures = failures;
+  }
+}
+
+/**
+ * Call `method` on every sink, logging failures per sink.
+ * Rejects with a SinkDeliveryError when any sink failed.
+ */
+async function fanOut(sinks, method, args, describe) {
+  const results = await Promise.allSettled(sinks.map(sink => sink[method](...args)));
+
+  const failures = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ ${sinks[i].name} sink failed to ${describe}:`, result.reason.message);
+      failures.push({ sink: sinks[i].name, error: result.reason });
+    }
+  });
+
+  if (failures.length > 0) {
+    throw new SinkDeliveryError(describe, failures, sinks.length);
+  }
+}
+
+/**
+ * One sink interface over a list of sinks
+ */
+function combine(sinks) {
+  return {
+    name: 'fan-out',
+    sinks,
+    sendMetric: (name, value, tags = {}, type = 'gauge') =>
+      fanOut(sinks, 'sendMetric', [name, value, tags, type], `send metric ${name}`),
+    sendEvent: event => fanOut(sinks, 'sendEvent', [event], `send event "${event.title}"`),
+    flush: (options = {}) => fanOut(sinks, 'flush', [options], 'flush'),
+    close: () => fanOut(sinks, 'close', [], 'close'),
+    // The same interface over the named sinks only, e.g. to retry the ones that failed
+    select: names => combine(sinks.filter(sink => names.includes(sink.name))),
+  };
+}
+
+/**
+ * Create the configured sinks behind one sink interface
+ */
+function createSinks(names = process.env.TELEMETRY_SINKS || 'datadog') {
+  const list = [...new Set((Array.isArray(names) ? names : names.split(','))
+    .map(name => name.trim())
+    .filter(Boolean))];
+
+  const sinks = list.map(name => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown telemetry sink: ${name} (expected: ${Object.keys(SINK_FACTORIES).join(', ')})`);
+    }
+    return factory();
+  });
+
+  console.log(`📡 Telemetry sinks: ${list.join(', ') || 'none'}`);
+
+  return combine(sinks);
+}
+
+module.exports = {
+  createSinks,
+  SinkDeliveryError,
+  SINK_FACTORIES,
+};
@@ -0,0 +1,39 @@
+/**
+ * JSONL sink
+ * Appends one JSON object per metric or event to a local file, for
+ * air-gapped environments or shipping with a log collector.
+ *
+ * Environment:
+ *   TELEMETRY_JSONL_PATH  Output file (default: ./data/telemetry.jsonl)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JSONL_PATH = path.join(__dirname, '..', 'data', 'telemetry.jsonl');
+
+/**
+ * Create a JSONL file sink
+ */
+function createJsonlSink({ filePath = process.env.TELEMETRY_JSONL_PATH || DEFAULT_JSONL_PATH } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+
+  function write(record) {
+    return new Promise((resolve, reject) => {
+      stream.write(`${JSON.stringify({ timestamp: new Date().toISOString(), ...record })}\n`, error => (
+        error ? reject(error) : resolve()
+      ));
+    });
+  }
+
+  return {
+    name: 'jsonl',
+    sendMetric: (name, value, tags = {}, type = 'gauge') => write({ kind: 'metric', name, type, value, tags }),
+    sendEvent: event => write({ kind: 'event', ...event }),
+    flush: async () => {},
+    close: () => new Promise(resolve => stream.end(resolve)),
+  };
+}
+
+module.exports = { createJsonlSink };
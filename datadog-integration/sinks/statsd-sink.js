@@ -0,0 +1,66 @@
+/**
+ * StatsD sink
+ * Sends metrics and events over UDP in the DogStatsD format
+ * (name:value|type|#tag:value), which plain StatsD servers accept
+ * without the tags.
+ *
+ * Environment:
+ *   STATSD_HOST  (default: 127.0.0.1)
+ *   STATSD_PORT  (default: 8125)
+ */
+
+const dgram = require('dgram');
+
+// Metric types to StatsD type suffixes
+const STATSD_TYPES = {
+  count: 'c',
+  gauge: 'g',
+  distribution: 'd',
+};
+
+/**
+ * Format tags as |#key:value,... (empty without tags)
+ */
+function formatTags(tags) {
+  const list = Array.isArray(tags) ? tags : Object.entries(tags).map(([k, v]) => `${k}:${v}`);
+  return list.length > 0 ? `|#${list.join(',')}` : '';
+}
+
+/**
+ * Create a StatsD sink
+ */
+function createStatsdSink({
+  host = process.env.STATSD_HOST || '127.0.0.1',
+  port = parseInt(process.env.STATSD_PORT || '8125', 10),
+} = {}) {
+  const socket = dgram.createSocket('udp4');
+  socket.unref();
+
+  function send(line) {
+    return new Promise((resolve, reject) => {
+      socket.send(line, port, host, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async function sendMetric(name, value, tags = {}, type = 'gauge') {
+    await send(`${name}:${value}|${STATSD_TYPES[type] || 'g'}${formatTags(tags)}`);
+  }
+
+  async function sendEvent(event) {
+    const title = event.title || '';
+    const text = (event.description || '').replace(/\n/g, '\\n');
+    const alertType = event.severity ? `|t:${event.severity}` : '';
+    const priority = event.priority === 'low' ? '|p:low' : '';
+    await send(`_e{${Buffer.byteLength(title)},${Buffer.byteLength(text)}}:${title}|${text}${alertType}${priority}${formatTags(event.tags || [])}`);
+  }
+
+  return {
+    name: 'statsd',
+    sendMetric,
+    sendEvent,
+    flush: async () => {},
+    close: () => new Promise(resolve => socket.close(resolve)),
+  };
+}
+
+module.exports = { createStatsdSink };
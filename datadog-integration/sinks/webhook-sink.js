@@ -0,0 +1,36 @@
+/**
+ * Webhook sink
+ * POSTs each metric or event as JSON to a generic HTTP endpoint.
+ *
+ * Environment:
+ *   TELEMETRY_WEBHOOK_URL      Endpoint to POST to (required)
+ *   TELEMETRY_WEBHOOK_HEADERS  Extra headers as JSON, e.g. {"Authorization":"Bearer ..."}
+ */
+
+const axios = require('axios');
+
+/**
+ * Create a webhook sink
+ */
+function createWebhookSink({
+  url = process.env.TELEMETRY_WEBHOOK_URL,
+  headers = JSON.parse(process.env.TELEMETRY_WEBHOOK_HEADERS || '{}'),
+  timeoutMs = 5000,
+} = {}) {
+  if (!url) {
+    throw new Error('Webhook sink needs TELEMETRY_WEBHOOK_URL');
+  }
+
+  const client = axios.create({ headers, timeout: timeoutMs });
+  const post = record => client.post(url, { timestamp: new Date().toISOString(), ...record });
+
+  return {
+    name: 'webhook',
+    sendMetric: (name, value, tags = {}, type = 'gauge') => post({ kind: 'metric', name, type, value, tags }),
+    sendEvent: event => post({ kind: 'event', ...event }),
+    flush: async () => {},
+    close: async () => {},
+  };
+}
+
+module.exports = { createWebhookSink };
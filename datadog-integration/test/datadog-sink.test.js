@@ -0,0 +1,187 @@
+/**
+ * Datadog sink against the mock Datadog API (../../test/mock-datadog.js)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockDatadog } = require('../../test/mock-datadog');
+const { createDatadogSink } = require('../sinks/datadog-sink');
+
+describe('datadog sink', () => {
+  const mock = createMockDatadog({ log: () => {} });
+  let baseURL;
+
+  before(async () => {
+    baseURL = await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(t => {
+    mock.received.length = 0;
+    mock.failNext(0);
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  });
+
+  function createSink(options = {}) {
+    return createDatadogSink({ baseURL, flushIntervalMs: 60000, maxRetries: 2, ...options });
+  }
+
+  function requestsTo(path) {
+    return mock.received.filter(request => request.path === path);
+  }
+
+  it('flushes once the batch size is reached and merges points', async () => {
+    const sink = createSink({ batchSize: 3 });
+
+    await sink.sendMetric('llm.requests', 1, { model: 'a' }, 'count');
+    await sink.sendMetric('llm.requests', 2, { model: 'a' }, 'count');
+    assert.equal(mock.received.length, 0);
+
+    await sink.sendMetric('llm.requests', 4, { model: 'b' }, 'count');
+    await sink.flush();
+
+    const [request] = requestsTo('/api/v1/series');
+    assert.equal(mock.received.length, 1);
+    assert.deepEqual(
+      request.payload.series.map(series => [series.tags, series.points[0][1]]),
+      [[['model:a'], 3], [['model:b'], 4]],
+    );
+    assert.equal(sink.stats().sentPoints, 3);
+    await sink.close();
+  });
+
+  it('sends counts and gauges as series and distributions separately', async () => {
+    const sink = createSink({ batchSize: 100 });
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await sink.sendMetric('llm.queue', 5, {}, 'gauge');
+    await sink.sendMetric('llm.queue', 7, {}, 'gauge');
+    await sink.sendMetric('llm.latency', 120, { model: 'a' }, 'distribution');
+    await sink.sendMetric('llm.latency', 80, { model: 'a' }, 'distribution');
+    await sink.flush();
+
+    const series = requestsTo('/api/v1/series')[0].payload.series;
+    assert.deepEqual(
+      series.map(entry => [entry.metric, entry.type, entry.points[0][1]]),
+      [['llm.requests', 'count', 1], ['llm.queue', 'gauge', 7]],
+    );
+
+    const distributions = requestsTo('/api/v1/distribution_points')[0].payload.series;
+    assert.equal(distributions.length, 1);
+    assert.equal(distributions[0].metric, 'llm.latency');
+    assert.deepEqual(distributions[0].tags, ['model:a']);
+    assert.deepEqual(distributions[0].points[0][1], [120, 80]);
+    await sink.close();
+  });
+
+  it('retries after a 429', async () => {
+    const sink = createSink({ batchSize: 100 });
+    mock.failNext(1, 429);
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await sink.flush();
+
+    assert.equal(requestsTo('/api/v1/series').length, 1);
+    assert.equal(sink.stats().retries, 1);
+    assert.equal(sink.stats().droppedPoints, 0);
+    await sink.close();
+  });
+
+  it('keeps points buffered and rejects once 5xx retries run out', async () => {
+    const sink = createSink({ batchSize: 100, maxRetries: 1 });
+    mock.failNext(2, 503);
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await sink.sendMetric('llm.errors', 1, {}, 'count');
+    await assert.rejects(sink.flush(), /2 points kept for the next flush/);
+
+    assert.equal(mock.received.length, 0);
+    assert.equal(sink.stats().retries, 1);
+    assert.equal(sink.stats().droppedPoints, 0);
+    assert.equal(sink.stats().bufferedPoints, 2);
+
+    await sink.flush();
+    assert.equal(requestsTo('/api/v1/series')[0].payload.series.length, 2);
+    assert.equal(sink.stats().sentPoints, 2);
+    await sink.close();
+  });
+
+  it('flushes without retries when asked to', async () => {
+    const sink = createSink({ batchSize: 100 });
+    mock.failNext(1, 429);
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await assert.rejects(sink.flush({ retries: 0 }));
+
+    assert.equal(sink.stats().retries, 0);
+    assert.equal(sink.stats().bufferedPoints, 1);
+    await sink.close();
+  });
+
+  it('counts points left undelivered at close as dropped', async () => {
+    const sink = createSink({ batchSize: 100, maxRetries: 0 });
+    mock.failNext(1, 503);
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await sink.close();
+
+    assert.equal(sink.stats().droppedPoints, 1);
+    assert.equal(sink.stats().bufferedPoints, 0);
+  });
+
+  it('does not retry a 4xx rejection', async () => {
+    const sink = createSink({ batchSize: 100 });
+    mock.failNext(1, 400);
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    await sink.flush();
+
+    assert.equal(sink.stats().retries, 0);
+    assert.equal(sink.stats().droppedPoints, 1);
+    await sink.close();
+  });
+
+  it('drops the oldest points when the buffer overflows and logs them once', async () => {
+    const sink = createSink({ batchSize: 100, maxBufferedPoints: 2 });
+
+    for (let value = 1; value <= 5; value++) {
+      await sink.sendMetric('llm.queue', value, { n: value }, 'gauge');
+    }
+    assert.equal(sink.stats().droppedPoints, 3);
+    assert.equal(console.warn.mock.callCount(), 0);
+
+    await sink.flush();
+
+    assert.equal(console.warn.mock.callCount(), 1);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Dropped 3 Datadog points \(buffer full\)/);
+    const series = requestsTo('/api/v1/series')[0].payload.series;
+    assert.deepEqual(series.map(entry => entry.points[0][1]), [4, 5]);
+    await sink.close();
+  });
+
+  it('flushes buffered points on close', async () => {
+    const sink = createSink({ batchSize: 100 });
+
+    await sink.sendMetric('llm.requests', 1, {}, 'count');
+    assert.equal(mock.received.length, 0);
+
+    await sink.close();
+
+    assert.equal(requestsTo('/api/v1/series').length, 1);
+    assert.equal(sink.stats().bufferedPoints, 0);
+  });
+
+  it('sends events once and throws when they are rejected', async () => {
+    const sink = createSink();
+
+    await sink.sendEvent({ title: 'PII detected', description: 'details', severity: 'error', priority: 'normal' });
+    assert.equal(requestsTo('/api/v1/events')[0].payload.title, 'PII detected');
+
+    mock.failNext(1, 503);
+    await assert.rejects(sink.sendEvent({ title: 'Second' }), /was not delivered/);
+    assert.equal(sink.stats().retries, 0);
+    assert.equal(sink.stats().failedEvents, 1);
+    await sink.close();
+  });
+});
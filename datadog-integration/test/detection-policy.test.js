@@ -0,0 +1,172 @@
+/**
+ * Detection policy: JSON and YAML files, hot reload and override precedence
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const detectionPolicy = require('../detection-policy');
+
+const BASE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'detection-policy.json'), 'utf8'));
+
+/**
+ * The shipped policy with overrides added
+ */
+function policyWith(overrides = {}) {
+  return { ...structuredClone(BASE), ...overrides };
+}
+
+/**
+ * Wait until a condition holds, polling every 10ms
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('detection policy', () => {
+  let tmpDir;
+
+  beforeEach(t => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+    for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+  });
+
+  afterEach(() => {
+    detectionPolicy.unwatchPolicy();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writePolicy(name, policy) {
+    const filePath = path.join(tmpDir, name);
+    const contents = /\.ya?ml$/.test(name) ? YAML.stringify(policy) : JSON.stringify(policy);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  }
+
+  it('ships a valid default policy', () => {
+    assert.deepEqual(detectionPolicy.validatePolicy(BASE), []);
+  });
+
+  describe('file formats', () => {
+    it('loads YAML policies from .yaml and .yml files', () => {
+      for (const name of ['policy.yaml', 'policy.yml']) {
+        assert.deepEqual(detectionPolicy.loadPolicy(writePolicy(name, BASE)), BASE);
+      }
+    });
+
+    it('reads hand-written YAML', () => {
+      const { users, ...base } = BASE;
+      const yaml = YAML.stringify(base).concat('users:\n  alice:\n    thresholds:\n      costThreshold: 2.5 # tighter\n');
+      const filePath = path.join(tmpDir, 'policy.yaml');
+      fs.writeFileSync(filePath, yaml);
+
+      detectionPolicy.loadPolicy(filePath);
+      assert.equal(detectionPolicy.resolvePolicy({ userId: 'alice' }).thresholds.costThreshold, 2.5);
+    });
+
+    it('reports validation errors for YAML policies', () => {
+      const filePath = writePolicy('policy.yml', policyWith({ version: 2 }));
+      assert.throws(() => detectionPolicy.loadPolicy(filePath), /Invalid detection policy .*policy\.yml:\n {2}- version must be 1/);
+    });
+
+    it('rejects malformed YAML', () => {
+      const filePath = path.join(tmpDir, 'policy.yaml');
+      fs.writeFileSync(filePath, 'version: 1\ndefaults: [unclosed\n');
+      assert.throws(() => detectionPolicy.loadPolicy(filePath));
+    });
+  });
+
+  describe('hot reload', () => {
+    it('switches to the new policy on reload', () => {
+      const filePath = writePolicy('policy.json', BASE);
+      detectionPolicy.loadPolicy(filePath);
+
+      writePolicy('policy.json', policyWith({ models: { 'gpt-4': { thresholds: { costThreshold: 9 } } } }));
+
+      assert.equal(detectionPolicy.reloadPolicy(), true);
+      assert.equal(detectionPolicy.resolvePolicy({ model: 'gpt-4' }).thresholds.costThreshold, 9);
+    });
+
+    it('keeps the previous policy when the new file is invalid', () => {
+      const filePath = writePolicy('policy.yaml', policyWith({ models: { 'gpt-4': { thresholds: { costThreshold: 9 } } } }));
+      detectionPolicy.loadPolicy(filePath);
+
+      fs.writeFileSync(filePath, YAML.stringify(policyWith({ models: { 'gpt-4': { thresholds: { costThreshold: -1 } } } })));
+
+      assert.equal(detectionPolicy.reloadPolicy(), false);
+      assert.equal(detectionPolicy.resolvePolicy({ model: 'gpt-4' }).thresholds.costThreshold, 9);
+      assert.match(console.error.mock.calls[0].arguments[1], /costThreshold must be a non-negative number/);
+    });
+
+    it('reloads when the watched file changes', async () => {
+      const filePath = writePolicy('policy.yml', BASE);
+      detectionPolicy.loadPolicy(filePath);
+      detectionPolicy.watchPolicy(10);
+      // Let the watcher take its first stat before the file changes
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      writePolicy('policy.yml', policyWith({ users: { bob: { detectors: { TOXIC_CONTENT: { enabled: false } } } } }));
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(filePath, later, later);
+
+      await waitFor(() => detectionPolicy.resolvePolicy({ userId: 'bob' }).detectors.TOXIC_CONTENT.enabled === false);
+    });
+  });
+
+  describe('resolvePolicy', () => {
+    beforeEach(() => {
+      detectionPolicy.loadPolicy(writePolicy('policy.json', policyWith({
+        tenants: {
+          'team-a': {
+            thresholds: { costThreshold: 1, latencyTimeoutMs: 1000 },
+            detectors: { TOXIC_CONTENT: { severity: 'low' } },
+          },
+        },
+        models: {
+          'gpt-4': { thresholds: { costThreshold: 2 }, escalation: { priorities: { low: 'high' } } },
+        },
+        users: {
+          alice: { thresholds: { costThreshold: 3 }, detectors: { TOXIC_CONTENT: { enabled: false } } },
+        },
+      })));
+    });
+
+    it('returns the defaults without matching overrides', () => {
+      const resolved = detectionPolicy.resolvePolicy({ tenantId: 'team-z', model: 'other', userId: 'nobody' });
+      assert.deepEqual(resolved.thresholds, BASE.defaults.thresholds);
+    });
+
+    it('applies tenant, then model, then user overrides', () => {
+      const scope = { tenantId: 'team-a', model: 'gpt-4', userId: 'alice' };
+
+      assert.equal(detectionPolicy.resolvePolicy({ tenantId: 'team-a' }).thresholds.costThreshold, 1);
+      assert.equal(detectionPolicy.resolvePolicy({ tenantId: 'team-a', model: 'gpt-4' }).thresholds.costThreshold, 2);
+      assert.equal(detectionPolicy.resolvePolicy(scope).thresholds.costThreshold, 3);
+
+      // Fields a more specific override leaves alone come from the less specific ones
+      assert.equal(detectionPolicy.resolvePolicy(scope).thresholds.latencyTimeoutMs, 1000);
+    });
+
+    it('merges detector settings field by field', () => {
+      const toxic = detectionPolicy.resolvePolicy({ tenantId: 'team-a', userId: 'alice' }).detectors.TOXIC_CONTENT;
+      assert.deepEqual(toxic, { ...BASE.defaults.detectors.TOXIC_CONTENT, severity: 'low', enabled: false });
+    });
+
+    it('merges escalation priorities onto the defaults', () => {
+      const { priorities } = detectionPolicy.resolvePolicy({ model: 'gpt-4' }).escalation;
+      assert.deepEqual(priorities, { ...BASE.defaults.escalation.priorities, low: 'high' });
+    });
+
+    it('does not let one scope leak into another', () => {
+      detectionPolicy.resolvePolicy({ tenantId: 'team-a', userId: 'alice' });
+      assert.deepEqual(detectionPolicy.resolvePolicy().detectors, BASE.defaults.detectors);
+    });
+  });
+});
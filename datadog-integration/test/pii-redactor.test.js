@@ -0,0 +1,92 @@
+/**
+ * PII redaction strategies and tenant-bound tokenization
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PII_TOKENIZATION_KEY = 'test-tokenization-key';
+
+const { redactPII, detokenize, applyConfiguredRedaction, getRedactionMode } = require('../pii-redactor');
+
+const TEXT = 'SSN 123-45-6789, mail jane@example.com';
+
+describe('pii redactor', () => {
+  beforeEach(t => {
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  it('masks values with a type placeholder and reports original offsets', () => {
+    const { text, redactions } = redactPII(TEXT, { strategy: 'mask' });
+
+    assert.equal(text, 'SSN [REDACTED_SSN], mail [REDACTED_EMAIL]');
+    assert.deepEqual(redactions.map(({ type, start, end }) => [type, TEXT.substring(start, end)]), [
+      ['SSN', '123-45-6789'],
+      ['EMAIL', 'jane@example.com'],
+    ]);
+    assert.match(redactions[0].hash, /^[a-f0-9]+$/);
+    assert.equal(redactions[0].hash.includes('6789'), false);
+  });
+
+  it('partially masks values, keeping separators and the last characters', () => {
+    const { text } = redactPII(TEXT, { strategy: 'partial' });
+    assert.equal(text, 'SSN ***-**-*789, mail j***@example.com');
+  });
+
+  it('keeps at most four characters of long values', () => {
+    const { text } = redactPII('card 4111 1111 1111 1111', { strategy: 'partial' });
+    assert.equal(text, 'card **** **** **** 1111');
+  });
+
+  describe('tokenize', () => {
+    it('replaces values with tokens that reverse for the same tenant', () => {
+      const { text } = redactPII(TEXT, { strategy: 'tokenize', tenantId: 'team-a' });
+
+      assert.match(text, /^SSN \[PII_TOKEN:SSN:[\w-]+\], mail \[PII_TOKEN:EMAIL:[\w-]+\]$/);
+      assert.deepEqual(detokenize(text, { tenantId: 'team-a' }), { text: TEXT, detokenized: 2 });
+    });
+
+    it('issues a different token each time', () => {
+      const first = redactPII('SSN 123-45-6789', { strategy: 'tokenize' }).text;
+      const second = redactPII('SSN 123-45-6789', { strategy: 'tokenize' }).text;
+      assert.notEqual(first, second);
+    });
+
+    it('leaves tokens from another tenant in place', () => {
+      const { text } = redactPII(TEXT, { strategy: 'tokenize', tenantId: 'team-a' });
+      assert.deepEqual(detokenize(text, { tenantId: 'team-b' }), { text, detokenized: 0 });
+    });
+
+    it('leaves tampered tokens in place', () => {
+      const { text } = redactPII('SSN 123-45-6789', { strategy: 'tokenize', tenantId: 'team-a' });
+      const tampered = text.replace(/:(\w)([\w-]*)\]$/, (match, first, rest) => `:${first === 'A' ? 'B' : 'A'}${rest}]`);
+
+      assert.deepEqual(detokenize(tampered, { tenantId: 'team-a' }), { text: tampered, detokenized: 0 });
+    });
+  });
+
+  it('refuses unknown strategies', () => {
+    assert.throws(() => redactPII(TEXT, { strategy: 'shred' }), /Unknown redaction strategy: shred/);
+  });
+
+  describe('configured mode', () => {
+    afterEach(() => {
+      delete process.env.PII_REDACTION_MODE;
+    });
+
+    it('leaves text unchanged when redaction is off', () => {
+      assert.equal(getRedactionMode(), null);
+      assert.deepEqual(applyConfiguredRedaction(TEXT), { text: TEXT, redactions: [] });
+    });
+
+    it('applies the configured strategy', () => {
+      process.env.PII_REDACTION_MODE = 'mask';
+      assert.equal(applyConfiguredRedaction(TEXT).text, 'SSN [REDACTED_SSN], mail [REDACTED_EMAIL]');
+    });
+
+    it('throws for an unknown mode', () => {
+      process.env.PII_REDACTION_MODE = 'hide';
+      assert.throws(() => getRedactionMode(), /Unknown PII_REDACTION_MODE: hide/);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Sink fan-out: partial failures and retrying only the failed sinks
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSinks, SinkDeliveryError, SINK_FACTORIES } = require('../sinks');
+
+/**
+ * Sink that records what it receives and fails while `failing` is set
+ */
+function createFakeSink(name) {
+  const sink = {
+    name,
+    failing: false,
+    metrics: [],
+    async sendMetric(metric, value) {
+      if (sink.failing) throw new Error(`${name} is down`);
+      sink.metrics.push([metric, value]);
+    },
+    async sendEvent() {},
+    async flush() {},
+    async close() {},
+  };
+  return sink;
+}
+
+describe('telemetry sink fan-out', () => {
+  let fakes;
+
+  beforeEach(t => {
+    fakes = { a: createFakeSink('a'), b: createFakeSink('b') };
+    SINK_FACTORIES.a = () => fakes.a;
+    SINK_FACTORIES.b = () => fakes.b;
+    for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+  });
+
+  afterEach(() => {
+    delete SINK_FACTORIES.a;
+    delete SINK_FACTORIES.b;
+  });
+
+  it('sends to every sink', async () => {
+    const telemetry = createSinks('a,b');
+
+    await telemetry.sendMetric('requests', 1);
+
+    assert.deepEqual(fakes.a.metrics, [['requests', 1]]);
+    assert.deepEqual(fakes.b.metrics, [['requests', 1]]);
+  });
+
+  it('rejects naming the failed sinks when only some fail', async () => {
+    const telemetry = createSinks('a,b');
+    fakes.b.failing = true;
+
+    await assert.rejects(telemetry.sendMetric('requests', 1), error => {
+      assert.ok(error instanceof SinkDeliveryError);
+      assert.deepEqual(error.failedSinks, ['b']);
+      return true;
+    });
+    assert.deepEqual(fakes.a.metrics, [['requests', 1]]);
+  });
+
+  it('retries only the failed sinks through select()', async () => {
+    const telemetry = createSinks('a,b');
+    fakes.b.failing = true;
+    const error = await telemetry.sendMetric('requests', 1).catch(e => e);
+
+    fakes.b.failing = false;
+    await telemetry.select(error.failedSinks).sendMetric('requests', 1);
+
+    assert.deepEqual(fakes.a.metrics, [['requests', 1]]);
+    assert.deepEqual(fakes.b.metrics, [['requests', 1]]);
+  });
+
+  it('rejects unknown sink names', () => {
+    assert.throws(() => createSinks('a,nope'), /Unknown telemetry sink: nope/);
+  });
+});
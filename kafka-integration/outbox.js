@@ -0,0 +1,222 @@
+/**
+ * Outbox
+ * Durable on-disk queue for Kafka sends that could not reach the broker.
+ * Entries are kept in memory and appended to a JSONL file, each with a
+ * sequence number. Removing entries (delivered or dropped) only records the
+ * highest removed sequence number in a small `.ack` file; the JSONL file is
+ * compacted once enough acknowledged lines have built up, so trimming never
+ * rewrites the whole file per publish. Entries are replayed in the order
+ * they were written; a crash mid-replay can resend a few entries, which the
+ * consumer deduplicates.
+ *
+ * Entries that the broker rejects permanently are moved to a dead-letter
+ * file instead of blocking the queue.
+ *
+ * Environment:
+ *   OUTBOX_PATH             JSONL file (default: ./data/outbox.jsonl)
+ *   OUTBOX_MAX_ENTRIES      Entries kept before the overflow policy applies (default: 10000)
+ *   OUTBOX_OVERFLOW_POLICY  drop-oldest | drop-newest | reject (default: drop-oldest)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, 'data', 'outbox.jsonl');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'reject'];
+
+// Acknowledged lines left in the file before it is compacted
+const COMPACT_AFTER = 1000;
+
+/**
+ * Thrown by enqueue() when the outbox is full and the policy is `reject`
+ */
+class OutboxFullError extends Error {
+  constructor(maxEntries) {
+    super(`Outbox is full (${maxEntries} entries)`);
+    this.name = 'OutboxFullError';
+  }
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ */
+function writeAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Highest sequence number already removed from the outbox
+ */
+function loadAckedSeq(ackPath) {
+  if (!fs.existsSync(ackPath)) return 0;
+  try {
+    return JSON.parse(fs.readFileSync(ackPath, 'utf8')).ackedSeq || 0;
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable outbox ack file ${ackPath}`);
+    return 0;
+  }
+}
+
+/**
+ * Read persisted entries that have not been acknowledged, skipping a torn
+ * last line from a crash mid-append. Entries from before sequence numbers
+ * are numbered after the acknowledged ones.
+ */
+function loadEntries(filePath, ackedSeq) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const entries = [];
+  let nextSeq = ackedSeq;
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable outbox entry in ${filePath}`);
+      continue;
+    }
+    if (entry.seq === undefined) entry.seq = ++nextSeq;
+    if (entry.seq > ackedSeq) entries.push(entry);
+    nextSeq = Math.max(nextSeq, entry.seq);
+  }
+  return entries;
+}
+
+/**
+ * Create an outbox persisted to `filePath`
+ */
+function createOutbox({
+  filePath = process.env.OUTBOX_PATH || DEFAULT_OUTBOX_PATH,
+  maxEntries = parseInt(process.env.OUTBOX_MAX_ENTRIES || '10000', 10),
+  overflowPolicy = process.env.OUTBOX_OVERFLOW_POLICY || 'drop-oldest',
+} = {}) {
+  if (!OVERFLOW_POLICIES.includes(overflowPolicy)) {
+    throw new Error(`Unknown outbox overflow policy: ${overflowPolicy} (expected: ${OVERFLOW_POLICIES.join(', ')})`);
+  }
+
+  const ackPath = `${filePath}.ack`;
+  const deadLetterPath = filePath.replace(/(\.jsonl)?$/, '.dead-letter.jsonl');
+
+  let ackedSeq = loadAckedSeq(ackPath);
+  let entries = loadEntries(filePath, ackedSeq);
+  let lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : ackedSeq;
+  // Lines in the file that have already been acknowledged
+  let staleLines = 0;
+  let dropped = 0;
+  let deadLettered = 0;
+
+  function compact() {
+    writeAtomic(filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    staleLines = 0;
+  }
+
+  // Start from a clean file: drops acknowledged and torn lines, numbers legacy entries
+  if (fs.existsSync(filePath)) compact();
+
+  if (entries.length > 0) {
+    console.log(`📦 Outbox has ${entries.length} pending entries from a previous run`);
+  }
+
+  /**
+   * Record that everything up to `seq` has left the outbox
+   */
+  function acknowledge(removed) {
+    if (removed.length === 0) return;
+
+    ackedSeq = removed[removed.length - 1].seq;
+    writeAtomic(ackPath, JSON.stringify({ ackedSeq }));
+    staleLines += removed.length;
+
+    if (entries.length === 0 || staleLines >= COMPACT_AFTER) compact();
+  }
+
+  function drop(count, reason) {
+    dropped += count;
+    console.warn(`⚠️  Outbox full: dropped ${count} ${reason} entries; ${dropped} dropped in total`);
+  }
+
+  /**
+   * Persist a send ({ topic, messages }) for later replay
+   */
+  function enqueue(record) {
+    if (entries.length >= maxEntries) {
+      if (overflowPolicy === 'reject') throw new OutboxFullError(maxEntries);
+      if (overflowPolicy === 'drop-newest') {
+        drop(1, 'newest');
+        return;
+      }
+      acknowledge([entries.shift()]);
+      drop(1, 'oldest');
+    }
+
+    const entry = { seq: ++lastSeq, enqueuedAt: new Date().toISOString(), topic: record.topic, messages: record.messages };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    entries.push(entry);
+  }
+
+  /**
+   * Oldest `count` entries, without removing them
+   */
+  function peek(count = 1) {
+    return entries.slice(0, count);
+  }
+
+  /**
+   * Remove the oldest `count` entries once they have been delivered
+   */
+  function remove(count) {
+    if (count <= 0) return;
+    acknowledge(entries.splice(0, count));
+  }
+
+  /**
+   * Move the oldest entry to the dead-letter file; for sends the broker
+   * will never accept
+   */
+  function deadLetter(error) {
+    const [entry] = entries.splice(0, 1);
+    if (!entry) return;
+
+    fs.mkdirSync(path.dirname(deadLetterPath), { recursive: true });
+    fs.appendFileSync(deadLetterPath, `${JSON.stringify({
+      ...entry,
+      error: { name: error.name, message: error.message },
+      failedAt: new Date().toISOString(),
+    })}\n`);
+    deadLettered++;
+    acknowledge([entry]);
+    console.error(`☠️  Outbox entry for ${entry.topic} moved to ${deadLetterPath}:`, error.message);
+  }
+
+  function status() {
+    return {
+      depth: entries.length,
+      maxEntries,
+      overflowPolicy,
+      dropped,
+      deadLettered,
+      oldestEnqueuedAt: entries.length > 0 ? entries[0].enqueuedAt : null,
+    };
+  }
+
+  return {
+    enqueue,
+    peek,
+    remove,
+    deadLetter,
+    depth: () => entries.length,
+    status,
+  };
+}
+
+module.exports = {
+  createOutbox,
+  OutboxFullError,
+  OVERFLOW_POLICIES,
+};
@@ -1,18 +1,33 @@
 require('dotenv').config({ path: '../.env' });
-const { Kafka } = require('kafkajs');
+const { createTransport } = require('./transports');
+const { createOutbox } = require('./outbox');
+const { encode } = require('./schemas');
 
-const kafka = new Kafka({
-  clientId: 'llm-producer',
-  brokers: [process.env.CONFLUENT_BOOTSTRAP_SERVER],
-  ssl: true,
-  sasl: {
-    mechanism: 'plain',
-    username: process.env.CONFLUENT_API_KEY,
-    password: process.env.CONFLUENT_API_SECRET,
-  },
-});
+// Confluent Cloud, a local broker or the in-process bus, chosen by KAFKA_TRANSPORT
+const transport = createTransport({ clientId: 'llm-producer' });
 
-const producer = kafka.producer();
+const producer = transport.producer();
+
+// Sends that could not reach the broker, replayed in order when it is back
+const outbox = createOutbox();
+
+const OUTBOX_RETRY_INTERVAL_MS = parseInt(process.env.OUTBOX_RETRY_INTERVAL_MS || '5000', 10);
+
+// Errors that mean the broker is unreachable rather than that it refused the send
+const TRANSIENT_ERRORS = [
+  'KafkaJSConnectionError',
+  'KafkaJSConnectionClosedError',
+  'KafkaJSRequestTimeoutError',
+  'KafkaJSBrokerNotFound',
+  'KafkaJSNoBrokerAvailableError',
+  'KafkaJSTimeout',
+  'KafkaJSLockTimeout',
+];
+const TRANSIENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'EPIPE'];
+
+let connected = false;
+let replaying = false;
+let replayTimer = null;
 
 // Topic configurations
 const TOPICS = {
@@ -20,58 +35,139 @@ const TOPICS = {
   LLM_RESPONSES: 'llm-responses',
   LLM_ANOMALIES: 'llm-anomalies',
   LLM_ALERTS: 'llm-alerts',
+  // Messages the consumer could not process (written by the consumer)
+  LLM_DEAD_LETTER: process.env.DEAD_LETTER_TOPIC || 'llm-dead-letter',
 };
 
 /**
- * Initialize producer and create topics
+ * Connect the producer and create topics if they don't exist
+ */
+async function connect() {
+  await producer.connect();
+  await transport.ensureTopics(Object.values(TOPICS));
+  connected = true;
+}
+
+/**
+ * Initialize producer and create topics. An unreachable broker is not
+ * fatal: publishes go to the outbox until a replay reconnects.
  */
 async function initialize() {
   try {
-    await producer.connect();
-    console.log('✅ Kafka Producer Connected');
-    
-    // Create topics if they don't exist
-    const admin = kafka.admin();
-    await admin.connect();
-    
-    const topics = Object.values(TOPICS);
-    await admin.createTopics({
-      topics: topics.map(topic => ({
-        topic,
-        numPartitions: 3,
-        replicationFactor: 1,
-      })),
-      validateOnly: false,
-      timeout: 30000,
-    }).catch(err => {
-      // Topics may already exist, which is fine
-      if (!err.message.includes('already exists')) {
-        console.error('Topic creation error:', err.message);
-      }
-    });
-    
-    await admin.disconnect();
+    await connect();
+    console.log(`✅ Kafka Producer Connected (${transport.name} transport)`);
     console.log('✅ Topics ready:', Object.keys(TOPICS));
   } catch (error) {
-    console.error('❌ Producer initialization failed:', error.message);
-    throw error;
+    console.error(`❌ Kafka unavailable (${transport.name} transport), publishing to outbox:`, error.message);
+  }
+
+  replayTimer = setInterval(replayOutbox, OUTBOX_RETRY_INTERVAL_MS);
+  replayTimer.unref();
+  if (outbox.depth() > 0) replayOutbox();
+}
+
+/**
+ * Whether a send failed because the broker could not be reached (worth
+ * queueing and retrying) rather than because it rejected the message
+ * (too large, not authorized, invalid). kafkajs wraps the last attempt's
+ * error in `cause` once its own retries run out.
+ */
+function isTransient(error) {
+  for (let e = error, depth = 0; e && depth < 5; e = e.cause || e.originalError, depth++) {
+    if (e.retriable === true || TRANSIENT_ERRORS.includes(e.name) || TRANSIENT_CODES.includes(e.code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Send to Kafka, or to the outbox when the broker is unreachable. While
+ * the outbox has entries new sends queue behind them to keep order.
+ * Messages are stamped with their original time so replays keep it.
+ * Sends the broker rejects are not queued; the error is rethrown.
+ */
+async function send({ topic, messages }) {
+  const record = {
+    topic,
+    messages: messages.map(message => ({ timestamp: String(Date.now()), ...message })),
+  };
+
+  if (connected && outbox.depth() === 0) {
+    try {
+      await producer.send(record);
+      return;
+    } catch (error) {
+      if (!isTransient(error)) throw error;
+      connected = false;
+      console.error('❌ Kafka send failed, publishing to outbox:', error.message);
+    }
   }
+
+  outbox.enqueue(record);
+}
+
+/**
+ * Deliver outbox entries oldest first. Pauses when the broker is
+ * unreachable; entries it rejects are dead-lettered so they never block
+ * the ones behind them.
+ */
+async function replayOutbox() {
+  if (replaying || outbox.depth() === 0) return;
+  replaying = true;
+
+  let delivered = 0;
+  try {
+    if (!connected) await connect();
+
+    while (outbox.depth() > 0) {
+      const [entry] = outbox.peek();
+      try {
+        await producer.send({ topic: entry.topic, messages: entry.messages });
+      } catch (error) {
+        if (isTransient(error)) throw error;
+        outbox.deadLetter(error);
+        continue;
+      }
+      outbox.remove(1);
+      delivered++;
+    }
+    console.log(`✅ Outbox drained: ${delivered} entries replayed`);
+  } catch (error) {
+    connected = false;
+    console.warn(`⚠️  Outbox replay paused after ${delivered} entries (${outbox.depth()} pending):`, error.message);
+  } finally {
+    replaying = false;
+  }
+}
+
+/**
+ * Transport and outbox state for /health
+ */
+function getStatus() {
+  return {
+    transport: transport.name,
+    connected,
+    outbox: outbox.status(),
+  };
 }
 
 /**
- * Publish LLM request to Kafka
+ * Publish LLM request to Kafka.
+ * Every publish* validates the payload against the topic's schema
+ * (./schemas), sends the schema version as a header and throws
+ * SchemaValidationError if the payload does not match.
  */
 async function publishRequest(requestData) {
   try {
-    await producer.send({
+    await send({
       topic: TOPICS.LLM_REQUESTS,
       messages: [
         {
           key: requestData.userId || 'unknown',
-          value: JSON.stringify({
+          ...encode(TOPICS.LLM_REQUESTS, {
             ...requestData,
-            timestamp: new Date().toISOString(),
-            type: 'request',
+            timestamp: requestData.timestamp || new Date().toISOString(),
           }),
         },
       ],
@@ -87,15 +183,14 @@ async function publishRequest(requestData) {
  */
 async function publishResponse(responseData) {
   try {
-    await producer.send({
+    await send({
       topic: TOPICS.LLM_RESPONSES,
       messages: [
         {
           key: responseData.requestId,
-          value: JSON.stringify({
+          ...encode(TOPICS.LLM_RESPONSES, {
             ...responseData,
-            timestamp: new Date().toISOString(),
-            type: 'response',
+            timestamp: responseData.timestamp || new Date().toISOString(),
           }),
         },
       ],
@@ -111,14 +206,14 @@ async function publishResponse(responseData) {
  */
 async function publishAnomaly(anomalyData) {
   try {
-    await producer.send({
+    await send({
       topic: TOPICS.LLM_ANOMALIES,
       messages: [
         {
           key: anomalyData.type,
-          value: JSON.stringify({
+          ...encode(TOPICS.LLM_ANOMALIES, {
             ...anomalyData,
-            timestamp: new Date().toISOString(),
+            timestamp: anomalyData.timestamp || new Date().toISOString(),
             severity: anomalyData.severity || 'medium',
           }),
         },
@@ -135,14 +230,14 @@ async function publishAnomaly(anomalyData) {
  */
 async function publishAlert(alertData) {
   try {
-    await producer.send({
+    await send({
       topic: TOPICS.LLM_ALERTS,
       messages: [
         {
           key: alertData.alertType,
-          value: JSON.stringify({
+          ...encode(TOPICS.LLM_ALERTS, {
             ...alertData,
-            timestamp: new Date().toISOString(),
+            timestamp: alertData.timestamp || new Date().toISOString(),
             priority: alertData.priority || 'high',
           }),
         },
@@ -159,6 +254,7 @@ async function publishAlert(alertData) {
  */
 async function disconnect() {
   try {
+    clearInterval(replayTimer);
     await producer.disconnect();
     console.log('✅ Producer disconnected');
   } catch (error) {
@@ -173,5 +269,8 @@ module.exports = {
   publishAnomaly,
   publishAlert,
   disconnect,
+  getStatus,
+  replayOutbox,
   TOPICS,
+  transport,
 };
@@ -0,0 +1,210 @@
+/**
+ * Message schemas
+ * One JSON Schema per topic (./<topic>.json) describes the payload. The
+ * payload is the message value, unchanged, so consumers that predate
+ * versioning keep reading the fields they know. The version travels in a
+ * Kafka header:
+ *
+ *   schema-version: '1.0'
+ *
+ * Compatibility rules, so producers and consumers can be upgraded separately
+ * and in either order:
+ *   - Minor versions only add optional fields. A consumer accepts any minor
+ *     version of its major and ignores fields it does not know.
+ *   - Removing, renaming or retyping a field, or making one required, is a
+ *     new major version. Other majors are rejected.
+ *   - Messages without the header predate versioning; they are upcast to
+ *     the current version before validation.
+ *
+ * Producers validate strictly (unknown fields are errors, to catch typos);
+ * consumers validate leniently.
+ */
+
+const VERSION_HEADER = 'schema-version';
+
+const SCHEMAS = {
+  'llm-requests': require('./llm-requests.json'),
+  'llm-responses': require('./llm-responses.json'),
+  'llm-anomalies': require('./llm-anomalies.json'),
+  'llm-alerts': require('./llm-alerts.json'),
+};
+
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Thrown when a payload does not match its topic's schema
+ */
+class SchemaValidationError extends Error {
+  constructor(topic, errors) {
+    super(`Invalid ${topic} message: ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown for an envelope whose schema version this code cannot read
+ */
+class SchemaVersionError extends Error {
+  constructor(topic, version, supported) {
+    super(`Unsupported ${topic} schema version ${version} (supported: ${supported.split('.')[0]}.x)`);
+    this.name = 'SchemaVersionError';
+  }
+}
+
+const majorOf = version => String(version).split('.')[0];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return type === actual || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate `value` against the subset of JSON Schema the topic schemas use:
+ * type, enum, required, properties, additionalProperties, items, minimum.
+ * `additionalProperties: false` is only enforced when `strict`.
+ */
+function validate(schema, value, { strict }, at = 'payload', errors = []) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${at} must be >= ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${at}.${field} is required`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        validate(properties[field], fieldValue, { strict }, `${at}.${field}`, errors);
+      } else if (strict && schema.additionalProperties === false) {
+        errors.push(`${at}.${field} is not allowed`);
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => validate(schema.items, item, { strict }, `${at}[${i}]`, errors));
+  }
+
+  return errors;
+}
+
+function schemaFor(topic) {
+  const schema = SCHEMAS[topic];
+  if (!schema) throw new Error(`No schema for topic: ${topic}`);
+  return schema;
+}
+
+/**
+ * Bring a pre-versioning payload up to the current schema
+ */
+const UPCASTS = {
+  'llm-requests': data => ({
+    ...data,
+    userId: data.userId || 'anonymous',
+    model: data.model || 'unknown',
+  }),
+  'llm-responses': data => ({
+    ...data,
+    model: data.model || 'unknown',
+    status: data.status || (data.error ? 'error' : 'success'),
+  }),
+  'llm-anomalies': data => ({ ...data, severity: data.severity || 'medium' }),
+  'llm-alerts': data => ({ ...data, priority: data.priority || 'high' }),
+};
+
+function upcastLegacy(topic, data) {
+  const payload = { ...data, tenantId: data.tenantId || DEFAULT_TENANT };
+  // Legacy requests and responses carried the topic as `type`; anomalies use it for the anomaly type
+  if (topic !== 'llm-anomalies') delete payload.type;
+  return UPCASTS[topic](payload);
+}
+
+/**
+ * Validate a payload for `topic`; returns the Kafka message fields
+ * ({ value, headers }). Throws SchemaValidationError so a bad payload is
+ * never published.
+ */
+function encode(topic, payload) {
+  const schema = schemaFor(topic);
+  // Round-trip first so undefined fields are dropped as they are on the wire
+  const wire = JSON.parse(JSON.stringify(payload));
+
+  const errors = validate(schema, wire, { strict: true });
+  if (errors.length > 0) throw new SchemaValidationError(topic, errors);
+
+  return {
+    value: JSON.stringify(wire),
+    headers: { [VERSION_HEADER]: schema.version },
+  };
+}
+
+/**
+ * Check caller-supplied fields against a topic's schema before anything
+ * is stored or published. Fields the backend fills in (null or undefined
+ * here) and required fields are not checked. Returns a list of errors.
+ */
+function validateFields(topic, fields) {
+  const { required, ...schema } = schemaFor(topic);
+  const given = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return validate(schema, JSON.parse(JSON.stringify(given)), { strict: false });
+}
+
+/**
+ * Parse, upcast and validate a message from `topic`; returns the payload.
+ * `headers` are the Kafka message headers (Buffer or string values).
+ * Throws SyntaxError, SchemaVersionError or SchemaValidationError.
+ */
+function decode(topic, value, headers = {}) {
+  const schema = schemaFor(topic);
+  const data = JSON.parse(value.toString());
+  const version = headers[VERSION_HEADER] !== undefined && headers[VERSION_HEADER] !== null
+    ? headers[VERSION_HEADER].toString()
+    : null;
+
+  let payload;
+  if (version) {
+    if (majorOf(version) !== majorOf(schema.version)) {
+      throw new SchemaVersionError(topic, version, schema.version);
+    }
+    payload = data;
+  } else {
+    payload = upcastLegacy(topic, data || {});
+  }
+
+  const errors = validate(schema, payload, { strict: false });
+  if (errors.length > 0) throw new SchemaValidationError(topic, errors);
+
+  return payload;
+}
+
+module.exports = {
+  encode,
+  decode,
+  validate,
+  validateFields,
+  VERSION_HEADER,
+  SCHEMAS,
+  SchemaValidationError,
+  SchemaVersionError,
+};
@@ -0,0 +1,147 @@
+/**
+ * Durable outbox: restart replay, acknowledgement, compaction, overflow
+ * policies and dead-lettering
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutbox, OutboxFullError } = require('../outbox');
+
+let tmpDir;
+let filePath;
+
+beforeEach(t => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  filePath = path.join(tmpDir, 'outbox.jsonl');
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function record(n) {
+  return { topic: 'llm-requests', messages: [{ key: `k${n}`, value: `v${n}` }] };
+}
+
+function keysOf(entries) {
+  return entries.map(entry => entry.messages[0].key);
+}
+
+function fileLines() {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+}
+
+describe('outbox', () => {
+  it('returns entries oldest first and removes delivered ones', () => {
+    const outbox = createOutbox({ filePath });
+    [1, 2, 3].forEach(n => outbox.enqueue(record(n)));
+
+    assert.deepEqual(keysOf(outbox.peek(2)), ['k1', 'k2']);
+    outbox.remove(1);
+    assert.deepEqual(keysOf(outbox.peek(5)), ['k2', 'k3']);
+    assert.equal(outbox.depth(), 2);
+  });
+
+  it('replays pending entries in order after a restart', () => {
+    const outbox = createOutbox({ filePath });
+    [1, 2, 3].forEach(n => outbox.enqueue(record(n)));
+    outbox.remove(1);
+
+    const restarted = createOutbox({ filePath });
+    assert.deepEqual(keysOf(restarted.peek(5)), ['k2', 'k3']);
+
+    // New entries are numbered after the ones carried over
+    restarted.enqueue(record(4));
+    assert.deepEqual(restarted.peek(5).map(entry => entry.seq), [2, 3, 4]);
+  });
+
+  it('records removals in the ack file without rewriting the outbox', () => {
+    const outbox = createOutbox({ filePath });
+    [1, 2, 3].forEach(n => outbox.enqueue(record(n)));
+    outbox.remove(2);
+
+    assert.equal(fileLines().length, 3);
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.ack`, 'utf8')), { ackedSeq: 2 });
+  });
+
+  it('compacts once 1000 acknowledged lines build up', () => {
+    const outbox = createOutbox({ filePath, maxEntries: 2000 });
+    for (let n = 1; n <= 1001; n++) outbox.enqueue(record(n));
+
+    outbox.remove(999);
+    assert.equal(fileLines().length, 1001);
+
+    outbox.remove(1);
+    assert.deepEqual(keysOf(fileLines().map(line => JSON.parse(line))), ['k1001']);
+  });
+
+  it('compacts when the outbox empties', () => {
+    const outbox = createOutbox({ filePath });
+    [1, 2].forEach(n => outbox.enqueue(record(n)));
+    outbox.remove(2);
+
+    assert.deepEqual(fileLines(), []);
+  });
+
+  it('skips a torn last line and numbers entries written before sequence numbers', () => {
+    fs.writeFileSync(filePath, [
+      JSON.stringify(record(1)),
+      JSON.stringify(record(2)),
+      '{"topic":"llm-req',
+    ].join('\n'));
+
+    const outbox = createOutbox({ filePath });
+    assert.deepEqual(outbox.peek(5).map(entry => [entry.seq, entry.messages[0].key]), [[1, 'k1'], [2, 'k2']]);
+    assert.equal(fileLines().length, 2);
+  });
+
+  describe('overflow', () => {
+    it('drops the oldest entry by default', () => {
+      const outbox = createOutbox({ filePath, maxEntries: 2 });
+      [1, 2, 3].forEach(n => outbox.enqueue(record(n)));
+
+      assert.deepEqual(keysOf(outbox.peek(5)), ['k2', 'k3']);
+      assert.equal(outbox.status().dropped, 1);
+      assert.deepEqual(keysOf(createOutbox({ filePath }).peek(5)), ['k2', 'k3']);
+    });
+
+    it('drops the newest entry under drop-newest', () => {
+      const outbox = createOutbox({ filePath, maxEntries: 2, overflowPolicy: 'drop-newest' });
+      [1, 2, 3].forEach(n => outbox.enqueue(record(n)));
+
+      assert.deepEqual(keysOf(outbox.peek(5)), ['k1', 'k2']);
+      assert.equal(outbox.status().dropped, 1);
+    });
+
+    it('throws OutboxFullError under reject', () => {
+      const outbox = createOutbox({ filePath, maxEntries: 2, overflowPolicy: 'reject' });
+      [1, 2].forEach(n => outbox.enqueue(record(n)));
+
+      assert.throws(() => outbox.enqueue(record(3)), OutboxFullError);
+      assert.deepEqual(keysOf(outbox.peek(5)), ['k1', 'k2']);
+    });
+
+    it('refuses an unknown policy', () => {
+      assert.throws(() => createOutbox({ filePath, overflowPolicy: 'drop-all' }), /Unknown outbox overflow policy/);
+    });
+  });
+
+  it('moves the oldest entry to the dead-letter file', () => {
+    const outbox = createOutbox({ filePath });
+    [1, 2].forEach(n => outbox.enqueue(record(n)));
+
+    outbox.deadLetter(Object.assign(new Error('Message too large'), { name: 'KafkaJSProtocolError' }));
+
+    assert.deepEqual(keysOf(outbox.peek(5)), ['k2']);
+    assert.equal(outbox.status().deadLettered, 1);
+    const [deadLetter] = fs.readFileSync(path.join(tmpDir, 'outbox.dead-letter.jsonl'), 'utf8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.equal(deadLetter.messages[0].key, 'k1');
+    assert.deepEqual(deadLetter.error, { name: 'KafkaJSProtocolError', message: 'Message too large' });
+    assert.deepEqual(keysOf(createOutbox({ filePath }).peek(5)), ['k2']);
+  });
+});
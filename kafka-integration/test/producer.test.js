@@ -0,0 +1,118 @@
+/**
+ * Producer: outbox on broker outages, rethrowing rejected sends and
+ * ordered replay
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TRANSPORT_FACTORIES } = require('../transports');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'producer-test-'));
+
+// A broker the tests can take down or make reject sends
+const broker = { sent: [], failures: [] };
+TRANSPORT_FACTORIES.test = () => ({
+  name: 'test',
+  producer: () => ({
+    connect: async () => {},
+    disconnect: async () => {},
+    async send(record) {
+      const failure = broker.failures.shift();
+      if (failure) throw failure;
+      broker.sent.push(record);
+    },
+  }),
+  ensureTopics: async () => {},
+});
+
+process.env.KAFKA_TRANSPORT = 'test';
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.jsonl');
+process.env.OUTBOX_RETRY_INTERVAL_MS = '3600000';
+
+const producer = require('../producer');
+
+const unreachable = () => Object.assign(new Error('Connection error: ECONNREFUSED'), { name: 'KafkaJSConnectionError' });
+const rejected = () => Object.assign(new Error('Message too large'), { name: 'KafkaJSProtocolError', retriable: false });
+
+function alert(n) {
+  return { alertType: `ALERT_${n}`, message: `alert ${n}`, severity: 'high', tenantId: 'default' };
+}
+
+function sentAlertTypes() {
+  return broker.sent.map(record => record.messages[0].key);
+}
+
+describe('producer', () => {
+  before(async () => {
+    await producer.initialize();
+  });
+
+  beforeEach(t => {
+    broker.sent.length = 0;
+    broker.failures.length = 0;
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  });
+
+  after(async () => {
+    await producer.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('sends straight to the broker when it is reachable', async () => {
+    await producer.publishAlert(alert(1));
+
+    assert.deepEqual(sentAlertTypes(), ['ALERT_1']);
+    assert.equal(broker.sent[0].messages[0].headers['schema-version'], '1.0');
+  });
+
+  it('rethrows sends the broker rejects instead of queueing them', async () => {
+    broker.failures.push(rejected());
+
+    await assert.rejects(producer.publishAlert(alert(1)), /Message too large/);
+    assert.equal(producer.getStatus().outbox.depth, 0);
+  });
+
+  it('queues sends while the broker is unreachable and replays them in order', async () => {
+    broker.failures.push(unreachable());
+
+    await producer.publishAlert(alert(1));
+    await producer.publishAlert(alert(2));
+    assert.deepEqual(sentAlertTypes(), []);
+    assert.equal(producer.getStatus().connected, false);
+    assert.equal(producer.getStatus().outbox.depth, 2);
+
+    await producer.replayOutbox();
+
+    assert.deepEqual(sentAlertTypes(), ['ALERT_1', 'ALERT_2']);
+    assert.equal(producer.getStatus().outbox.depth, 0);
+    assert.equal(producer.getStatus().connected, true);
+  });
+
+  it('pauses replay while the broker is still unreachable', async () => {
+    broker.failures.push(unreachable());
+    await producer.publishAlert(alert(1));
+
+    broker.failures.push(unreachable());
+    await producer.replayOutbox();
+    assert.equal(producer.getStatus().outbox.depth, 1);
+
+    await producer.replayOutbox();
+    assert.deepEqual(sentAlertTypes(), ['ALERT_1']);
+  });
+
+  it('dead-letters an entry the broker rejects and replays the ones behind it', async () => {
+    broker.failures.push(unreachable());
+    await producer.publishAlert(alert(1));
+    await producer.publishAlert(alert(2));
+
+    broker.failures.push(rejected());
+    await producer.replayOutbox();
+
+    assert.deepEqual(sentAlertTypes(), ['ALERT_2']);
+    assert.equal(producer.getStatus().outbox.depth, 0);
+    assert.equal(producer.getStatus().outbox.deadLettered, 1);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Message schemas: strict encoding, lenient decoding, version headers and
+ * upcasting of pre-versioning messages
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encode,
+  decode,
+  validateFields,
+  VERSION_HEADER,
+  SCHEMAS,
+  SchemaValidationError,
+  SchemaVersionError,
+} = require('../schemas');
+
+const REQUEST = {
+  requestId: 'r1',
+  tenantId: 'team-a',
+  userId: 'alice',
+  model: 'gpt-4',
+  timestamp: '2026-01-01T00:00:00.000Z',
+};
+
+describe('encode', () => {
+  it('keeps the payload top-level and sends the version as a header', () => {
+    const { value, headers } = encode('llm-requests', REQUEST);
+
+    assert.deepEqual(JSON.parse(value), REQUEST);
+    assert.deepEqual(headers, { [VERSION_HEADER]: SCHEMAS['llm-requests'].version });
+  });
+
+  it('drops undefined fields as they are on the wire', () => {
+    const { value } = encode('llm-requests', { ...REQUEST, prompt: undefined });
+    assert.equal('prompt' in JSON.parse(value), false);
+  });
+
+  it('rejects unknown fields, since producers validate strictly', () => {
+    assert.throws(
+      () => encode('llm-requests', { ...REQUEST, modle: 'gpt-4' }),
+      error => error instanceof SchemaValidationError && error.errors.includes('payload.modle is not allowed'),
+    );
+  });
+
+  it('rejects missing required fields and wrong types', () => {
+    assert.throws(
+      () => encode('llm-requests', { ...REQUEST, userId: undefined, tokenCount: -1, blocked: 'yes' }),
+      error => {
+        assert.deepEqual(error.errors, [
+          'payload.userId is required',
+          'payload.tokenCount must be >= 0',
+          'payload.blocked must be boolean',
+        ]);
+        return true;
+      },
+    );
+  });
+
+  it('refuses topics without a schema', () => {
+    assert.throws(() => encode('llm-unknown', {}), /No schema for topic: llm-unknown/);
+  });
+});
+
+describe('decode', () => {
+  const headers = version => ({ [VERSION_HEADER]: Buffer.from(version) });
+
+  it('ignores unknown fields, since consumers validate leniently', () => {
+    const payload = decode('llm-requests', JSON.stringify({ ...REQUEST, addedLater: true }), headers('1.1'));
+    assert.equal(payload.addedLater, true);
+  });
+
+  it('accepts any minor version of the same major', () => {
+    assert.deepEqual(decode('llm-requests', JSON.stringify(REQUEST), headers('1.0')), REQUEST);
+    assert.deepEqual(decode('llm-requests', JSON.stringify(REQUEST), headers('1.9')), REQUEST);
+  });
+
+  it('rejects another major version', () => {
+    assert.throws(
+      () => decode('llm-requests', JSON.stringify(REQUEST), headers('2.0')),
+      error => error instanceof SchemaVersionError && /version 2\.0 \(supported: 1\.x\)/.test(error.message),
+    );
+  });
+
+  it('still validates types and required fields', () => {
+    assert.throws(
+      () => decode('llm-requests', JSON.stringify({ ...REQUEST, model: 4 }), headers('1.1')),
+      SchemaValidationError,
+    );
+  });
+
+  it('throws SyntaxError for malformed JSON', () => {
+    assert.throws(() => decode('llm-requests', '{"requestId":', headers('1.1')), SyntaxError);
+  });
+
+  describe('messages without a version header', () => {
+    it('upcasts legacy requests', () => {
+      const payload = decode('llm-requests', JSON.stringify({
+        requestId: 'r1',
+        type: 'llm-request',
+        timestamp: REQUEST.timestamp,
+      }));
+
+      assert.deepEqual(payload, {
+        requestId: 'r1',
+        tenantId: 'default',
+        userId: 'anonymous',
+        model: 'unknown',
+        timestamp: REQUEST.timestamp,
+      });
+    });
+
+    it('derives the status of legacy responses from the error', () => {
+      const payload = decode('llm-responses', Buffer.from(JSON.stringify({
+        requestId: 'r1',
+        error: { message: 'timeout' },
+        timestamp: REQUEST.timestamp,
+      })));
+
+      assert.equal(payload.status, 'error');
+      assert.equal(payload.tenantId, 'default');
+    });
+
+    it('keeps the anomaly type on legacy anomalies', () => {
+      const payload = decode('llm-anomalies', JSON.stringify({
+        type: 'PII_LEAKAGE',
+        timestamp: REQUEST.timestamp,
+      }));
+
+      assert.equal(payload.type, 'PII_LEAKAGE');
+      assert.equal(payload.severity, 'medium');
+    });
+
+    it('keeps a tenant that is already set', () => {
+      const payload = decode('llm-requests', JSON.stringify({ ...REQUEST, tenantId: 'team-b' }));
+      assert.equal(payload.tenantId, 'team-b');
+    });
+  });
+});
+
+describe('validateFields', () => {
+  it('checks given fields only, skipping required and empty ones', () => {
+    assert.deepEqual(validateFields('llm-requests', { model: 'gpt-4', prompt: null, userId: undefined }), []);
+  });
+
+  it('reports fields of the wrong type', () => {
+    assert.deepEqual(validateFields('llm-requests', { tokenCount: 'ten', metadata: [] }), [
+      'payload.tokenCount must be number',
+      'payload.metadata must be object',
+    ]);
+  });
+});
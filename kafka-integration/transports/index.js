@@ -0,0 +1,37 @@
+/**
+ * Kafka transports
+ * Every transport implements:
+ *
+ *   name                   Transport name used in logs
+ *   producer()             kafkajs-style producer: connect, send({ topic, messages }), disconnect
+ *   consumer({ groupId })  kafkajs-style consumer: connect, subscribe, run, commitOffsets, disconnect
+ *   ensureTopics(topics)   Create missing topics
+ *
+ * Environment:
+ *   KAFKA_TRANSPORT  confluent | local | memory (default: confluent)
+ */
+
+const { createConfluentTransport, createLocalTransport } = require('./kafka');
+const { createMemoryTransport } = require('./memory');
+
+const TRANSPORT_FACTORIES = {
+  confluent: createConfluentTransport,
+  local: createLocalTransport,
+  memory: createMemoryTransport,
+};
+
+/**
+ * Create the configured transport
+ */
+function createTransport({ clientId, name = process.env.KAFKA_TRANSPORT || 'confluent' } = {}) {
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown Kafka transport: ${name} (expected: ${Object.keys(TRANSPORT_FACTORIES).join(', ')})`);
+  }
+  return factory({ clientId });
+}
+
+module.exports = {
+  createTransport,
+  TRANSPORT_FACTORIES,
+};
@@ -0,0 +1,78 @@
+/**
+ * Kafka broker transports (kafkajs)
+ *
+ *   confluent  Confluent Cloud over SSL/SASL
+ *              CONFLUENT_BOOTSTRAP_SERVER, CONFLUENT_API_KEY, CONFLUENT_API_SECRET
+ *   local      Plaintext broker, e.g. a docker-compose Kafka
+ *              KAFKA_BROKERS  Comma-separated host:port list (default: localhost:9092)
+ */
+
+const { Kafka } = require('kafkajs');
+
+/**
+ * Wrap a kafkajs client in the transport interface
+ */
+function createKafkaTransport(name, config) {
+  const kafka = new Kafka(config);
+
+  /**
+   * Create topics that don't exist yet
+   */
+  async function ensureTopics(topics) {
+    const admin = kafka.admin();
+    await admin.connect();
+
+    try {
+      await admin.createTopics({
+        topics: topics.map(topic => ({
+          topic,
+          numPartitions: 3,
+          replicationFactor: 1,
+        })),
+        validateOnly: false,
+        timeout: 30000,
+      }).catch(err => {
+        // Topics may already exist, which is fine
+        if (!err.message.includes('already exists')) {
+          console.error('Topic creation error:', err.message);
+        }
+      });
+    } finally {
+      await admin.disconnect();
+    }
+  }
+
+  return {
+    name,
+    producer: () => kafka.producer(),
+    consumer: options => kafka.consumer(options),
+    ensureTopics,
+  };
+}
+
+function createConfluentTransport({ clientId }) {
+  return createKafkaTransport('confluent', {
+    clientId,
+    brokers: [process.env.CONFLUENT_BOOTSTRAP_SERVER],
+    ssl: true,
+    sasl: {
+      mechanism: 'plain',
+      username: process.env.CONFLUENT_API_KEY,
+      password: process.env.CONFLUENT_API_SECRET,
+    },
+  });
+}
+
+function createLocalTransport({ clientId }) {
+  const brokers = (process.env.KAFKA_BROKERS || 'localhost:9092')
+    .split(',')
+    .map(broker => broker.trim())
+    .filter(Boolean);
+
+  return createKafkaTransport('local', { clientId, brokers });
+}
+
+module.exports = {
+  createConfluentTransport,
+  createLocalTransport,
+};
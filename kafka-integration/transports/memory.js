@@ -0,0 +1,175 @@
+/**
+ * In-memory transport
+ * An in-process event bus with the kafkajs producer/consumer surface, so
+ * the backend and the Datadog consumer can run in one process without a
+ * broker (laptops, CI). Each topic is a single-partition log; consumer
+ * groups track their own committed offsets. Nothing survives a restart.
+ *
+ * Environment:
+ *   MEMORY_BUS_RETENTION  Messages kept per topic (default: 10000)
+ */
+
+const { EventEmitter } = require('events');
+
+const RETENTION = parseInt(process.env.MEMORY_BUS_RETENTION || '10000', 10);
+const REDELIVERY_DELAY_MS = 1000;
+
+const PARTITION = 0;
+
+/**
+ * The bus is module state, shared by every transport created in this process
+ */
+const bus = {
+  // topic -> { base: offset of entries[0], entries: [] }
+  logs: new Map(),
+  // `${groupId}|${topic}` -> next offset to read
+  committed: new Map(),
+  emitter: new EventEmitter(),
+};
+bus.emitter.setMaxListeners(0);
+
+function logFor(topic) {
+  if (!bus.logs.has(topic)) bus.logs.set(topic, { base: 0, entries: [] });
+  return bus.logs.get(topic);
+}
+
+function toBuffer(value) {
+  if (value === null || value === undefined) return null;
+  return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+}
+
+function append(topic, message) {
+  const log = logFor(topic);
+  const offset = log.base + log.entries.length;
+
+  log.entries.push({
+    offset: String(offset),
+    key: toBuffer(message.key),
+    value: toBuffer(message.value),
+    headers: message.headers || {},
+    timestamp: message.timestamp || String(Date.now()),
+  });
+
+  if (log.entries.length > RETENTION) {
+    log.entries.shift();
+    log.base++;
+  }
+  bus.emitter.emit('message', topic);
+}
+
+function createProducer() {
+  return {
+    connect: async () => {},
+    disconnect: async () => {},
+    async send({ topic, messages }) {
+      messages.forEach(message => append(topic, message));
+      return messages.map(() => ({ topicName: topic, partition: PARTITION, errorCode: 0 }));
+    },
+  };
+}
+
+/**
+ * kafkajs-style consumer. Messages are delivered one at a time per
+ * consumer; a throwing eachMessage gets the same message again after a
+ * delay, as a broker would redeliver an uncommitted offset.
+ */
+function createConsumer({ groupId }) {
+  const positions = new Map(); // topic -> next offset to deliver
+  let handler = null;
+  let autoCommit = true;
+  let draining = false;
+  let pending = false;
+  let retryTimer = null;
+  let running = false;
+
+  function commit(topic, offset) {
+    bus.committed.set(`${groupId}|${topic}`, Number(offset));
+  }
+
+  async function drain() {
+    if (!running) return;
+    if (draining) {
+      // Picked up by the loop below once the current message is done
+      pending = true;
+      return;
+    }
+    draining = true;
+
+    try {
+      do {
+        pending = false;
+        for (const [topic, position] of positions) {
+          const log = logFor(topic);
+          let next = Math.max(position, log.base);
+
+          while (running && next < log.base + log.entries.length) {
+            const message = log.entries[next - log.base];
+            try {
+              await handler({ topic, partition: PARTITION, message, heartbeat: async () => {} });
+            } catch (error) {
+              console.error(`❌ In-memory consumer ${groupId} failed on ${topic} offset ${message.offset}:`, error.message);
+              positions.set(topic, next);
+              retryTimer = setTimeout(drain, REDELIVERY_DELAY_MS);
+              retryTimer.unref();
+              return;
+            }
+            next++;
+            positions.set(topic, next);
+            if (autoCommit) commit(topic, next);
+          }
+        }
+      } while (pending && running);
+    } finally {
+      draining = false;
+    }
+  }
+
+  const onMessage = topic => {
+    if (positions.has(topic)) drain();
+  };
+
+  return {
+    connect: async () => {},
+
+    async subscribe({ topic, topics, fromBeginning = false }) {
+      for (const name of topics || [topic]) {
+        const log = logFor(name);
+        const committed = bus.committed.get(`${groupId}|${name}`);
+        const start = committed !== undefined
+          ? committed
+          : (fromBeginning ? log.base : log.base + log.entries.length);
+        positions.set(name, start);
+      }
+    },
+
+    async run({ eachMessage, autoCommit: commitAutomatically = true }) {
+      handler = eachMessage;
+      autoCommit = commitAutomatically;
+      running = true;
+      bus.emitter.on('message', onMessage);
+      // Deliver what was published before run()
+      setImmediate(drain);
+    },
+
+    async commitOffsets(offsets) {
+      offsets.forEach(({ topic, offset }) => commit(topic, offset));
+    },
+
+    async disconnect() {
+      running = false;
+      clearTimeout(retryTimer);
+      bus.emitter.off('message', onMessage);
+    },
+  };
+}
+
+function createMemoryTransport() {
+  return {
+    name: 'memory',
+    producer: createProducer,
+    consumer: createConsumer,
+    ensureTopics: async topics => topics.forEach(logFor),
+  };
+}
+
+module.exports = { createMemoryTransport };
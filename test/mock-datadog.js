@@ -0,0 +1,96 @@
+/**
+ * Mock Datadog API for local development and the sink tests
+ * Accepts /api/v1/series, /api/v1/distribution_points and /api/v1/events,
+ * prints what it receives and can fail the first requests to exercise
+ * retries. Point the consumer at it with
+ *   DATADOG_API_URL=http://localhost:8787
+ *
+ * Environment (when run directly):
+ *   MOCK_DATADOG_PORT         (default: 8787)
+ *   MOCK_DATADOG_FAIL_FIRST   Fail this many requests before accepting (default: 0)
+ *   MOCK_DATADOG_FAIL_STATUS  Status used for failures (default: 429)
+ *
+ * GET /_mock/received returns everything accepted so far.
+ */
+
+const http = require('http');
+
+const ROUTES = ['/api/v1/series', '/api/v1/distribution_points', '/api/v1/events'];
+
+/**
+ * Create a mock Datadog server. `received` collects every accepted request;
+ * failNext() makes the next requests fail with the given status.
+ */
+function createMockDatadog({ failFirst = 0, failStatus = 429, log = console.log } = {}) {
+  const received = [];
+  let failuresLeft = failFirst;
+  let currentFailStatus = failStatus;
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/_mock/received') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(received));
+    }
+
+    if (req.method !== 'POST' || !ROUTES.includes(req.url)) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        log(`✖ ${req.url} → ${currentFailStatus} (${failuresLeft} failures left)`);
+        res.writeHead(currentFailStatus, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ errors: ['mock failure'] }));
+      }
+
+      const payload = JSON.parse(body || '{}');
+      received.push({ path: req.url, apiKey: req.headers['dd-api-key'], payload });
+      const count = payload.series ? `${payload.series.length} series` : `event "${payload.title}"`;
+      log(`✔ ${req.url}: ${count}`);
+
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok' }));
+    });
+  });
+
+  /**
+   * Fail the next `count` requests with `status`
+   */
+  function failNext(count, status = failStatus) {
+    failuresLeft = count;
+    currentFailStatus = status;
+  }
+
+  /**
+   * Start listening; port 0 picks a free port. Resolves to the base URL.
+   */
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return { received, failNext, listen, close };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_DATADOG_PORT || '8787', 10);
+  const mock = createMockDatadog({
+    failFirst: parseInt(process.env.MOCK_DATADOG_FAIL_FIRST || '0', 10),
+    failStatus: parseInt(process.env.MOCK_DATADOG_FAIL_STATUS || '429', 10),
+  });
+  mock.listen(port).then(url => console.log(`🐶 Mock Datadog listening on ${url}`));
+}
+
+module.exports = { createMockDatadog };